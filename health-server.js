@@ -1,5 +1,6 @@
 const express = require('express');
 const logger = require('./src/logger');
+const { createWebhookRouter } = require('./src/webhookReceiver');
 const fs = require('fs');
 const path = require('path');
 
@@ -7,6 +8,10 @@ const path = require('path');
 const app = express();
 const PORT = process.env.HEALTH_CHECK_PORT || 3002;
 
+// Shopify webhooks read the raw body for signature checks, so they are
+// mounted before the JSON parser
+app.use('/webhooks', createWebhookRouter());
+
 // Middleware
 app.use(express.json());
 
@@ -59,7 +64,7 @@ app.get('/status', (req, res) => {
             nodeEnv: process.env.NODE_ENV || 'unknown'
         },
         configuration: {
-            batchSize: process.env.SHOPIFY_BATCH_SIZE || 'default',
+            maxConcurrency: process.env.SHOPIFY_MAX_CONCURRENCY || 'default',
             cronSchedule: process.env.CRON_SCHEDULE || 'default',
             enableUpdates: process.env.SHOPIFY_ENABLE_UPDATES !== 'false',
             dryRun: process.env.SHOPIFY_DRY_RUN === 'true'
@@ -162,6 +167,7 @@ if (require.main === module) {
         console.log(`  - Status: http://localhost:${PORT}/status`);
         console.log(`  - Logs: http://localhost:${PORT}/logs`);
         console.log(`  - Metrics: http://localhost:${PORT}/metrics`);
+        console.log(`  - Shopify webhooks: http://localhost:${PORT}/webhooks/shopify`);
     });
 }
 
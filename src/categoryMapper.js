@@ -0,0 +1,176 @@
+const fs = require('fs');
+const logger = require('./logger');
+
+const NO_CATEGORY = '(none)';
+
+// Maps QGold Categories paths (\Jewelry\Chains\Rope Chains; ...) to Shopify
+// taxonomy GIDs using CATEGORY_MAP_FILE (default config/category-map.json):
+//   paths     exact path -> GID
+//   prefixes  path prefix -> GID, longest prefix wins
+//   keywords  word in a path segment -> GID, deepest segment first
+//   default   GID used when nothing matches
+// Exact matches on any of the item's paths win over prefixes, which win over
+// keywords. Every GID is checked against the taxonomy list in TAXONOMY_FILE
+// (default category.txt) when the map is loaded.
+class CategoryMapper {
+    constructor(options = {}) {
+        this.mapFile = options.mapFile || process.env.CATEGORY_MAP_FILE || './config/category-map.json';
+        this.taxonomyFile = options.taxonomyFile || process.env.TAXONOMY_FILE || './category.txt';
+        this.taxonomy = this.loadTaxonomy();
+        this.config = this.loadMap(options.config);
+        this.resetCoverage();
+    }
+
+    // Map of GID -> breadcrumb from the "Category ID / Category breadcrumb" list
+    loadTaxonomy() {
+        const taxonomy = new Map();
+        if (!fs.existsSync(this.taxonomyFile)) {
+            logger.warn(`Taxonomy file not found: ${this.taxonomyFile}, category GIDs will not be validated`);
+            return taxonomy;
+        }
+
+        const lines = fs.readFileSync(this.taxonomyFile, 'utf8').split(/\r?\n/).map(line => line.trim());
+        lines.forEach((line, index) => {
+            if (line.startsWith('gid://shopify/TaxonomyCategory/')) {
+                const breadcrumb = lines[index + 1] === 'Category breadcrumb' ? lines[index + 2] : '';
+                taxonomy.set(line, breadcrumb);
+            }
+        });
+        return taxonomy;
+    }
+
+    loadMap(config) {
+        if (!config) {
+            if (!fs.existsSync(this.mapFile)) {
+                throw new Error(`Category map file not found: ${this.mapFile}`);
+            }
+            config = JSON.parse(fs.readFileSync(this.mapFile, 'utf8'));
+        }
+
+        if (!config.default) {
+            throw new Error(`Category map ${this.mapFile} has no default category`);
+        }
+
+        const normalizeKeys = entries => Object.entries(entries || {})
+            .map(([key, gid]) => [this.normalizePath(key), gid]);
+
+        const map = {
+            default: config.default,
+            paths: new Map(normalizeKeys(config.paths)),
+            // Longest first so the most specific prefix/keyword is found first
+            prefixes: normalizeKeys(config.prefixes).sort((a, b) => b[0].length - a[0].length),
+            keywords: Object.entries(config.keywords || {})
+                .map(([keyword, gid]) => [keyword.toLowerCase(), gid])
+                .sort((a, b) => b[0].length - a[0].length)
+        };
+
+        this.validate(map);
+        logger.info(`Loaded category map from ${this.mapFile}: ${map.paths.size} paths, ${map.prefixes.length} prefixes, ${map.keywords.length} keywords`);
+        return map;
+    }
+
+    // Fail on GIDs that aren't in the taxonomy list
+    validate(map) {
+        if (this.taxonomy.size === 0) {
+            return;
+        }
+
+        const invalid = [
+            ['default', map.default],
+            ...[...map.paths.entries()].map(([key, gid]) => [`paths["${key}"]`, gid]),
+            ...map.prefixes.map(([key, gid]) => [`prefixes["${key}"]`, gid]),
+            ...map.keywords.map(([key, gid]) => [`keywords["${key}"]`, gid])
+        ].filter(([, gid]) => !this.taxonomy.has(gid));
+
+        if (invalid.length > 0) {
+            throw new Error(`Unknown taxonomy categories in ${this.mapFile}: ${invalid.map(([key, gid]) => `${key} -> ${gid}`).join(', ')}`);
+        }
+    }
+
+    // "\Jewelry\Chains\Rope Chains\" -> "\jewelry\chains\rope chains"
+    normalizePath(categoryPath) {
+        const segments = this.getSegments(categoryPath);
+        return segments.length > 0 ? `\\${segments.join('\\')}` : '';
+    }
+
+    getSegments(categoryPath) {
+        return String(categoryPath || '')
+            .toLowerCase()
+            .split(/[\\/>|]/)
+            .map(segment => segment.trim().replace(/\s+/g, ' '))
+            .filter(segment => segment);
+    }
+
+    getCategoryPaths(csvItem) {
+        return (csvItem.Categories || '').split(';').map(p => this.normalizePath(p)).filter(p => p);
+    }
+
+    // Returns { categoryId, rule, path } and records it for the coverage report
+    map(csvItem) {
+        const paths = this.getCategoryPaths(csvItem);
+        const decision = this.findMatch(paths) || { categoryId: this.config.default, rule: 'default', path: null };
+
+        if (csvItem.Item) {
+            // Feed spelling of the paths, for the report
+            const feedPaths = (csvItem.Categories || '').split(';').map(p => p.trim()).filter(p => p);
+            this.coverage.set(csvItem.Item, { ...decision, paths: feedPaths });
+        }
+        return decision;
+    }
+
+    findMatch(paths) {
+        for (const path of paths) {
+            if (this.config.paths.has(path)) {
+                return { categoryId: this.config.paths.get(path), rule: 'exact', path };
+            }
+        }
+
+        for (const [prefix, categoryId] of this.config.prefixes) {
+            const path = paths.find(p => p === prefix || p.startsWith(`${prefix}\\`));
+            if (path) {
+                return { categoryId, rule: 'prefix', path };
+            }
+        }
+
+        for (const path of paths) {
+            const segments = this.getSegments(path).reverse();
+            for (const segment of segments) {
+                const match = this.config.keywords.find(([keyword]) => this.containsWords(segment, keyword));
+                if (match) {
+                    return { categoryId: match[1], rule: 'keyword', path };
+                }
+            }
+        }
+
+        return null;
+    }
+
+    containsWords(text, words) {
+        return ` ${text} `.includes(` ${words} `);
+    }
+
+    // Per-SKU record of how the category was chosen, cleared at the start of each run
+    resetCoverage() {
+        this.coverage = new Map();
+    }
+
+    // Counts per rule type and every feed category path that fell back to the
+    // default, with the number of SKUs carrying it
+    getCoverageReport() {
+        const byRule = { exact: 0, prefix: 0, keyword: 0, default: 0 };
+        const fallbackPaths = {};
+
+        this.coverage.forEach(decision => {
+            byRule[decision.rule]++;
+            if (decision.rule === 'default') {
+                (decision.paths.length > 0 ? decision.paths : [NO_CATEGORY]).forEach(path => {
+                    fallbackPaths[path] = (fallbackPaths[path] || 0) + 1;
+                });
+            }
+        });
+
+        return { byRule, fallbackPaths };
+    }
+}
+
+module.exports = CategoryMapper;
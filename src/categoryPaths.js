@@ -0,0 +1,23 @@
+// Category conditions in the rule and filter files (pricing, feed, market and
+// publication rules, store filters) are prefixes of the feed's Categories
+// paths, compared case-insensitively on whole segments: "\Jewelry\Chains"
+// matches "\Jewelry\Chains" and "\Jewelry\Chains\Rope Chains" but not
+// "\Jewelry\Chains & Pendants".
+
+// Whether a path is the prefix itself or lies below it
+function matchesCategoryPrefix(path, prefix) {
+    const wanted = String(prefix).trim().toLowerCase().replace(/\\+$/, '');
+    const value = String(path).trim().toLowerCase();
+    return value === wanted || value.startsWith(`${wanted}\\`);
+}
+
+// Whether any of the paths (a Categories value "\A\B; \C\D" or a list of
+// paths) matches any of the prefixes (one or a list)
+function hasCategoryPrefix(categories, prefixes) {
+    const paths = (Array.isArray(categories) ? categories : String(categories || '').split(';'))
+        .filter(path => path.trim());
+    const wanted = [].concat(prefixes);
+    return paths.some(path => wanted.some(prefix => matchesCategoryPrefix(path, prefix)));
+}
+
+module.exports = { matchesCategoryPrefix, hasCategoryPrefix };
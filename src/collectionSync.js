@@ -0,0 +1,228 @@
+const logger = require('./logger');
+const StateStore = require('./stateStore');
+
+const TAG_PREFIX = 'cat:';
+
+// Mirrors the QGold category tree into smart collections. Every node of every
+// Categories path (\Jewelry, \Jewelry\Chains, \Jewelry\Chains\Rope Chains ...)
+// becomes a tag on the product, "cat:jewelry/chains/rope-chains", and one
+// smart collection per node matches products carrying that tag, so parent
+// collections include everything below them.
+//
+// Collections created here are recorded in the "collections" state file by
+// tag. Handles are derived from the path once, when the collection is
+// created, and never rewritten. Managed collections whose node no longer
+// appears in the feed are deleted.
+class CollectionSync {
+    constructor(shopifyClient, options = {}) {
+        this.client = shopifyClient;
+        this.enabled = options.enabled !== undefined
+            ? options.enabled
+            : process.env.SHOPIFY_SYNC_COLLECTIONS !== 'false';
+        this.store = options.store || new StateStore('collections', { stateDir: options.stateDir });
+    }
+
+    // ["Jewelry", "Chains", "Rope Chains"] for each Categories path
+    getCategoryPaths(csvItem) {
+        return (csvItem.Categories || '')
+            .split(';')
+            .map(categoryPath => categoryPath.split(/[\\/]/).map(segment => segment.trim()).filter(segment => segment))
+            .filter(segments => segments.length > 0);
+    }
+
+    slugify(text) {
+        return text
+            .toLowerCase()
+            .replace(/&/g, 'and')
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-|-$/g, '');
+    }
+
+    getNodeTag(segments) {
+        return `${TAG_PREFIX}${segments.map(segment => this.slugify(segment)).join('/')}`;
+    }
+
+    // Tags for every node on the item's category paths
+    getCategoryTags(csvItem) {
+        const tags = new Set();
+        this.getCategoryPaths(csvItem).forEach(segments => {
+            for (let depth = 1; depth <= segments.length; depth++) {
+                tags.add(this.getNodeTag(segments.slice(0, depth)));
+            }
+        });
+        return [...tags];
+    }
+
+    // Map of tag -> { tag, segments, title, products } for the whole feed
+    buildTree(csvRows) {
+        const nodes = new Map();
+
+        csvRows.forEach(csvItem => {
+            const seen = new Set();
+            this.getCategoryPaths(csvItem).forEach(segments => {
+                for (let depth = 1; depth <= segments.length; depth++) {
+                    const nodeSegments = segments.slice(0, depth);
+                    const tag = this.getNodeTag(nodeSegments);
+                    if (!nodes.has(tag)) {
+                        nodes.set(tag, { tag, segments: nodeSegments, products: 0 });
+                    }
+                    if (!seen.has(tag)) {
+                        nodes.get(tag).products++;
+                        seen.add(tag);
+                    }
+                }
+            });
+        });
+
+        // "Rope Chains" sits under several parents; qualify repeated names
+        // with their parent so they can be told apart in the admin
+        const nameCounts = new Map();
+        nodes.forEach(node => {
+            const name = node.segments[node.segments.length - 1].toLowerCase();
+            nameCounts.set(name, (nameCounts.get(name) || 0) + 1);
+        });
+        nodes.forEach(node => {
+            const name = node.segments[node.segments.length - 1];
+            node.title = nameCounts.get(name.toLowerCase()) > 1 && node.segments.length > 1
+                ? `${node.segments[node.segments.length - 2]} > ${name}`
+                : name;
+        });
+
+        return nodes;
+    }
+
+    async syncCollections(csvRows, options = {}) {
+        const { dryRun = false } = options;
+        const results = {
+            nodes: 0,
+            created: [],
+            removed: [],
+            unchanged: 0,
+            errors: 0,
+            errorDetails: []
+        };
+
+        const tree = this.buildTree(csvRows);
+        results.nodes = tree.size;
+        const state = this.store.load({ collections: {} });
+
+        // Adopt collections that already match a node tag (e.g. state was lost)
+        const untracked = [...tree.keys()].filter(tag => !state.collections[tag]);
+        if (untracked.length > 0) {
+            const existing = await this.getSmartCollectionsByTag();
+            untracked.forEach(tag => {
+                if (existing.has(tag)) {
+                    const collection = existing.get(tag);
+                    state.collections[tag] = { id: collection.id, handle: collection.handle, title: collection.title };
+                }
+            });
+        }
+
+        for (const node of tree.values()) {
+            if (state.collections[node.tag]) {
+                results.unchanged++;
+                continue;
+            }
+
+            try {
+                if (dryRun) {
+                    logger.debug(`[DRY RUN] Would create collection "${node.title}" (${node.tag})`);
+                } else {
+                    const collection = await this.createSmartCollection(node);
+                    state.collections[node.tag] = { id: collection.id, handle: collection.handle, title: collection.title };
+                    logger.debug(`✓ Created collection "${collection.title}" (${collection.handle})`);
+                }
+                results.created.push({ tag: node.tag, title: node.title });
+            } catch (error) {
+                results.errors++;
+                results.errorDetails.push({ csvItem: node.tag, error: error.message });
+                logger.error(`✗ Failed to create collection for ${node.tag}:`, error.message);
+            }
+        }
+
+        // Nodes that left the feed have no products from us any more
+        for (const [tag, collection] of Object.entries(state.collections)) {
+            if (tree.has(tag)) continue;
+
+            try {
+                if (dryRun) {
+                    logger.debug(`[DRY RUN] Would remove collection "${collection.title}" (${tag})`);
+                } else {
+                    await this.deleteSmartCollection(collection.id);
+                    delete state.collections[tag];
+                    logger.debug(`✓ Removed collection "${collection.title}" (${collection.handle})`);
+                }
+                results.removed.push({ tag, title: collection.title });
+            } catch (error) {
+                if (error.response && error.response.status === 404) {
+                    delete state.collections[tag];
+                    results.removed.push({ tag, title: collection.title });
+                    continue;
+                }
+                results.errors++;
+                results.errorDetails.push({ csvItem: tag, error: error.message });
+                logger.error(`✗ Failed to remove collection for ${tag}:`, error.message);
+            }
+        }
+
+        if (!dryRun) {
+            this.store.save(state);
+        }
+
+        logger.info(`Collections: ${results.nodes} category nodes, ${results.created.length} created, ${results.removed.length} removed, ${results.errors} errors`);
+        return results;
+    }
+
+    async createSmartCollection(node) {
+        const response = await this.client.request({
+            method: 'post',
+            url: `${this.client.baseURL}/smart_collections.json`,
+            data: {
+                smart_collection: {
+                    title: node.title,
+                    handle: node.segments.map(segment => this.slugify(segment)).join('-'),
+                    rules: [{ column: 'tag', relation: 'equals', condition: node.tag }],
+                    disjunctive: false,
+                    published: true
+                }
+            }
+        });
+        return response.data.smart_collection;
+    }
+
+    async deleteSmartCollection(collectionId) {
+        await this.client.request({
+            method: 'delete',
+            url: `${this.client.baseURL}/smart_collections/${collectionId}.json`
+        });
+    }
+
+    // Map of node tag -> smart collection whose only rule is that tag
+    async getSmartCollectionsByTag() {
+        const collections = new Map();
+        let sinceId = 0;
+
+        while (true) {
+            const response = await this.client.request({
+                method: 'get',
+                url: `${this.client.baseURL}/smart_collections.json`,
+                params: { limit: 250, since_id: sinceId }
+            });
+
+            const page = response.data.smart_collections;
+            page.forEach(collection => {
+                const rules = collection.rules || [];
+                if (rules.length === 1 && rules[0].column === 'tag' && rules[0].condition.startsWith(TAG_PREFIX)) {
+                    collections.set(rules[0].condition, collection);
+                }
+            });
+
+            if (page.length < 250) break;
+            sinceId = page[page.length - 1].id;
+        }
+
+        return collections;
+    }
+}
+
+module.exports = CollectionSync;
@@ -0,0 +1,146 @@
+const fs = require('fs');
+const logger = require('./logger');
+const { hasCategoryPrefix } = require('./categoryPaths');
+
+// Decides which feed rows are synced at all, from FEED_RULES_FILE (default
+// config/feed-rules.json):
+//   {
+//     "include": [
+//       { "name": "product-lines", "match": { "ProductLine": ["Core Gold", "Sterling Silver"] } }
+//     ],
+//     "exclude": [
+//       { "name": "price-floor", "match": { "ContractPrice": { "max": 9.99 } } },
+//       { "name": "no-image", "match": { "hasImage": false } },
+//       { "name": "displays", "match": { "Item_Type": { "in": ["Display"] } } },
+//       { "name": "samples", "match": { "Description": { "pattern": "\\bsample\\b", "flags": "i" } } },
+//       { "name": "watches", "match": { "category": ["\\Jewelry\\Watches"] } }
+//     ]
+//   }
+// A row is synced when it matches every include rule and no exclude rule; all
+// conditions in a rule's match must hold. Column conditions are a value or
+// list (case-insensitive equality), or { in, pattern, flags, min, max, empty }.
+// "category" matches Categories path prefixes and "hasImage" whether the row
+// has any image link. Each excluded row is counted against the first rule
+// that dropped it.
+//
+// Products whose rows are all excluded count as gone from the feed, so the
+// lifecycle step drafts them like discontinued items.
+class FeedFilter {
+    constructor(imageValidator, options = {}) {
+        this.imageValidator = imageValidator;
+        this.rulesFile = options.rulesFile || process.env.FEED_RULES_FILE || './config/feed-rules.json';
+        this.config = options.config || this.loadRules();
+        this.enabled = Boolean(this.config);
+        this.tests = new Map();
+        if (this.enabled) {
+            [...this.config.include, ...this.config.exclude].forEach(rule => {
+                this.tests.set(rule, this.compileRule(rule));
+            });
+        }
+    }
+
+    loadRules() {
+        if (!fs.existsSync(this.rulesFile)) {
+            logger.info(`No feed rules file (${this.rulesFile}), every feed row is synced`);
+            return null;
+        }
+
+        const config = JSON.parse(fs.readFileSync(this.rulesFile, 'utf8'));
+        config.include = config.include || [];
+        config.exclude = config.exclude || [];
+
+        logger.info(`Loaded ${config.include.length} include and ${config.exclude.length} exclude feed rules from ${this.rulesFile}`);
+        return config;
+    }
+
+    // Validate a rule and turn its match into a list of row predicates
+    compileRule(rule) {
+        if (!rule.name) {
+            throw new Error(`Feed rule without a name in ${this.rulesFile}`);
+        }
+
+        const lower = value => String(value).toLowerCase();
+        return Object.entries(rule.match || {}).map(([key, condition]) => {
+            if (key === 'hasImage') {
+                return row => (this.imageValidator.getRowImages(row).length > 0) === Boolean(condition);
+            }
+
+            if (key === 'category') {
+                return row => hasCategoryPrefix(row.Categories, condition);
+            }
+
+            const spec = typeof condition === 'object' && !Array.isArray(condition) ? condition : { in: condition };
+            const unknown = Object.keys(spec).filter(option => !['in', 'pattern', 'flags', 'min', 'max', 'empty'].includes(option));
+            if (unknown.length > 0) {
+                throw new Error(`Feed rule "${rule.name}": unknown condition ${unknown.join(', ')} for ${key}`);
+            }
+
+            let pattern = null;
+            if (spec.pattern !== undefined) {
+                try {
+                    // g/y would make test() stateful between rows
+                    pattern = new RegExp(spec.pattern, (spec.flags || '').replace(/[gy]/g, ''));
+                } catch (error) {
+                    throw new Error(`Feed rule "${rule.name}": invalid pattern for ${key}: ${error.message}`);
+                }
+            }
+            const values = spec.in !== undefined ? [].concat(spec.in).map(lower) : null;
+
+            return row => {
+                const value = row[key] === undefined || row[key] === null ? '' : String(row[key]);
+                if (spec.empty !== undefined && (value.trim() === '') !== Boolean(spec.empty)) return false;
+                if (values && !values.includes(lower(value))) return false;
+                if (pattern && !pattern.test(value)) return false;
+                if (spec.min !== undefined || spec.max !== undefined) {
+                    const number = parseFloat(value.replace(/[^\d.-]/g, ''));
+                    if (isNaN(number)) return false;
+                    if (spec.min !== undefined && number < spec.min) return false;
+                    if (spec.max !== undefined && number > spec.max) return false;
+                }
+                return true;
+            };
+        });
+    }
+
+    matches(rule, row) {
+        return this.tests.get(rule).every(test => test(row));
+    }
+
+    // Name of the rule that drops the row, or null when it is synced
+    getExcludingRule(row) {
+        const failedInclude = this.config.include.find(rule => !this.matches(rule, row));
+        if (failedInclude) {
+            return failedInclude.name;
+        }
+        const matchedExclude = this.config.exclude.find(rule => this.matches(rule, row));
+        return matchedExclude ? matchedExclude.name : null;
+    }
+
+    // Returns { rows, report } where report is { input, kept, excluded, byRule, samples }
+    apply(csvData) {
+        const report = { input: csvData.length, kept: 0, excluded: 0, byRule: {}, samples: {} };
+        if (!this.enabled) {
+            report.kept = csvData.length;
+            return { rows: csvData, report };
+        }
+
+        const rows = csvData.filter(row => {
+            const rule = this.getExcludingRule(row);
+            if (!rule) {
+                return true;
+            }
+            report.byRule[rule] = (report.byRule[rule] || 0) + 1;
+            report.samples[rule] = report.samples[rule] || [];
+            if (report.samples[rule].length < 5) {
+                report.samples[rule].push(row.Item);
+            }
+            return false;
+        });
+
+        report.kept = rows.length;
+        report.excluded = csvData.length - rows.length;
+        return { rows, report };
+    }
+}
+
+module.exports = FeedFilter;
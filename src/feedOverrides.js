@@ -0,0 +1,290 @@
+const fs = require('fs');
+const path = require('path');
+const csv = require('csv-parser');
+const logger = require('./logger');
+
+const FUNCTIONS = {
+    round: (value, digits = 0) => Math.round(value * Math.pow(10, digits)) / Math.pow(10, digits),
+    min: Math.min,
+    max: Math.max
+};
+
+// Corrections to supplier data (bad weights, missing UPCs, poor titles),
+// merged over the feed rows before they are filtered, grouped and mapped.
+// OVERRIDES_FILE (default config/overrides.json) is JSON keyed by Item:
+//   { "overrides": {
+//       "012R-16": { "Weight": "0.35", "UPC": "886774123456", "expires": "2026-12-31" },
+//       "012R-18": { "ContractPrice": "=round(ContractPrice * 1.05, 2)", "note": "new cost not in feed yet" } } }
+// or a .csv file with an Item column, one column per overridden feed column
+// and optional Expires / Note columns; empty cells are left alone.
+// Values starting with "=" are computed from the row's feed values: numbers,
+// column names ([Column Name] when not a plain identifier), + - * /,
+// parentheses, round(x, digits), min() and max(). Overrides past their
+// expiry date (YYYY-MM-DD, inclusive) are ignored. Both expired overrides and
+// overrides whose SKU is no longer in the feed are listed in the run results.
+class FeedOverrides {
+    constructor(options = {}) {
+        this.overridesFile = options.overridesFile || process.env.OVERRIDES_FILE || './config/overrides.json';
+        this.enabled = fs.existsSync(this.overridesFile);
+        this.overrides = null;
+        if (!this.enabled) {
+            logger.info(`No overrides file (${this.overridesFile}), feed values are used as-is`);
+        }
+    }
+
+    // Read and validate the file once; Map of lowercased SKU -> override
+    async load() {
+        if (this.overrides) {
+            return this.overrides;
+        }
+
+        const entries = path.extname(this.overridesFile).toLowerCase() === '.csv'
+            ? await this.readCsv()
+            : Object.entries(JSON.parse(fs.readFileSync(this.overridesFile, 'utf8')).overrides || {});
+
+        const overrides = new Map();
+        entries.forEach(([sku, values]) => {
+            if (!sku) {
+                throw new Error(`Override without an Item in ${this.overridesFile}`);
+            }
+            if (overrides.has(sku.toLowerCase())) {
+                throw new Error(`Duplicate override for ${sku} in ${this.overridesFile}`);
+            }
+            overrides.set(sku.toLowerCase(), this.compileOverride(sku, values));
+        });
+
+        logger.info(`Loaded overrides for ${overrides.size} SKUs from ${this.overridesFile}`);
+        this.overrides = overrides;
+        return overrides;
+    }
+
+    readCsv() {
+        return new Promise((resolve, reject) => {
+            const entries = [];
+            fs.createReadStream(this.overridesFile)
+                .pipe(csv())
+                .on('data', row => {
+                    const { Item, ...values } = row;
+                    Object.keys(values).forEach(column => {
+                        if (values[column] === '') delete values[column];
+                    });
+                    entries.push([(Item || '').trim(), values]);
+                })
+                .on('end', () => resolve(entries))
+                .on('error', reject);
+        });
+    }
+
+    compileOverride(sku, values) {
+        const override = { sku, expires: null, note: null, columns: [] };
+
+        Object.entries(values).forEach(([column, value]) => {
+            const key = column.toLowerCase();
+            if (key === 'expires') {
+                if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value)) || isNaN(Date.parse(value))) {
+                    throw new Error(`Override for ${sku}: invalid expiry date "${value}", expected YYYY-MM-DD`);
+                }
+                override.expires = String(value);
+            } else if (key === 'note') {
+                override.note = String(value);
+            } else if (typeof value === 'string' && value.startsWith('=')) {
+                try {
+                    override.columns.push({ column, expression: value, compute: this.compileExpression(value.slice(1)) });
+                } catch (error) {
+                    throw new Error(`Override for ${sku}: invalid expression for ${column}: ${error.message}`);
+                }
+            } else {
+                override.columns.push({ column, value: value === null ? '' : String(value) });
+            }
+        });
+
+        return override;
+    }
+
+    // Parse an arithmetic expression into a function of the feed row
+    compileExpression(source) {
+        const tokens = [];
+        const tokenPattern = /\s*(?:(\d+(?:\.\d+)?|\.\d+)|([A-Za-z_][A-Za-z0-9_]*)|\[([^\]]+)\]|([-+*/(),]))/y;
+        while (tokenPattern.lastIndex < source.length) {
+            const start = tokenPattern.lastIndex;
+            const match = tokenPattern.exec(source);
+            if (!match) {
+                if (source.slice(start).trim() === '') break;
+                throw new Error(`unexpected "${source.slice(start).trim()[0]}"`);
+            }
+            if (match[1] !== undefined) tokens.push({ type: 'number', value: parseFloat(match[1]) });
+            else if (match[2] !== undefined) tokens.push({ type: 'name', value: match[2] });
+            else if (match[3] !== undefined) tokens.push({ type: 'name', value: match[3] });
+            else tokens.push({ type: match[4] });
+        }
+
+        let position = 0;
+        const peek = () => tokens[position] || { type: 'end' };
+        const describe = token => {
+            if (token.type === 'end') return 'end of expression';
+            return `"${token.value !== undefined ? token.value : token.type}"`;
+        };
+        const expect = type => {
+            if (peek().type !== type) {
+                throw new Error(type === 'end' ? `unexpected ${describe(peek())}` : `expected "${type}" but found ${describe(peek())}`);
+            }
+            return tokens[position++];
+        };
+
+        // expression := term (("+" | "-") term)*
+        const parseExpression = () => {
+            let node = parseTerm();
+            while (peek().type === '+' || peek().type === '-') {
+                const operator = tokens[position++].type;
+                const left = node;
+                const right = parseTerm();
+                node = operator === '+' ? row => left(row) + right(row) : row => left(row) - right(row);
+            }
+            return node;
+        };
+
+        // term := factor (("*" | "/") factor)*
+        const parseTerm = () => {
+            let node = parseFactor();
+            while (peek().type === '*' || peek().type === '/') {
+                const operator = tokens[position++].type;
+                const left = node;
+                const right = parseFactor();
+                node = operator === '*' ? row => left(row) * right(row) : row => left(row) / right(row);
+            }
+            return node;
+        };
+
+        // factor := "-" factor | number | name | name "(" args ")" | "(" expression ")"
+        const parseFactor = () => {
+            const token = peek();
+            if (token.type === '-') {
+                position++;
+                const operand = parseFactor();
+                return row => -operand(row);
+            }
+            if (token.type === 'number') {
+                position++;
+                return () => token.value;
+            }
+            if (token.type === '(') {
+                position++;
+                const inner = parseExpression();
+                expect(')');
+                return inner;
+            }
+            if (token.type === 'name') {
+                position++;
+                if (peek().type === '(') {
+                    const fn = FUNCTIONS[token.value.toLowerCase()];
+                    if (!fn) {
+                        throw new Error(`unknown function ${token.value}()`);
+                    }
+                    position++;
+                    const args = [parseExpression()];
+                    while (peek().type === ',') {
+                        position++;
+                        args.push(parseExpression());
+                    }
+                    expect(')');
+                    return row => fn(...args.map(arg => arg(row)));
+                }
+                return row => this.readNumber(row, token.value);
+            }
+            throw new Error(`unexpected ${describe(token)}`);
+        };
+
+        const compute = parseExpression();
+        expect('end');
+        return compute;
+    }
+
+    readNumber(row, column) {
+        if (!(column in row)) {
+            throw new Error(`no column ${column}`);
+        }
+        const number = parseFloat(String(row[column]).replace(/[^\d.-]/g, ''));
+        if (isNaN(number)) {
+            throw new Error(`${column} "${row[column]}" is not a number`);
+        }
+        return number;
+    }
+
+    // Returns { rows, report } where report is
+    // { applied, skus, expired, stale, unknownColumns, errors }; rows are copies,
+    // the parsed feed is shared between stores
+    async apply(csvData) {
+        const overrides = await this.load();
+        const report = { applied: 0, skus: [], expired: [], stale: [], unknownColumns: [], errors: [] };
+        const today = new Date().toISOString().slice(0, 10);
+        const unknownColumns = new Set();
+        const seen = new Set();
+
+        const rows = csvData.map(row => {
+            const override = row.Item && overrides.get(row.Item.toLowerCase());
+            if (!override) {
+                return row;
+            }
+
+            seen.add(row.Item.toLowerCase());
+            if (override.expires && override.expires < today) {
+                return row;
+            }
+
+            const merged = { ...row };
+            let applied = 0;
+            override.columns.forEach(({ column, value, expression, compute }) => {
+                if (!(column in row)) {
+                    unknownColumns.add(column);
+                }
+                if (!compute) {
+                    merged[column] = value;
+                    applied++;
+                    return;
+                }
+                try {
+                    const result = compute(row);
+                    if (!isFinite(result)) {
+                        throw new Error('result is not a finite number');
+                    }
+                    merged[column] = String(Math.round(result * 10000) / 10000);
+                    applied++;
+                } catch (error) {
+                    report.errors.push({ sku: row.Item, column, expression, error: error.message });
+                }
+            });
+
+            if (applied > 0) {
+                report.applied += applied;
+                report.skus.push(row.Item);
+            }
+            return merged;
+        });
+
+        overrides.forEach((override, key) => {
+            if (!seen.has(key)) {
+                report.stale.push(override.sku);
+            } else if (override.expires && override.expires < today) {
+                report.expired.push({ sku: override.sku, expires: override.expires, note: override.note });
+            }
+        });
+        report.unknownColumns = [...unknownColumns];
+
+        if (report.stale.length > 0) {
+            logger.warn(`${report.stale.length} overrides are for SKUs no longer in the feed: ${report.stale.slice(0, 10).join(', ')}${report.stale.length > 10 ? ', ...' : ''}`);
+        }
+        if (report.expired.length > 0) {
+            logger.warn(`${report.expired.length} overrides have expired: ${report.expired.slice(0, 10).map(entry => `${entry.sku} (${entry.expires})`).join(', ')}`);
+        }
+        if (report.unknownColumns.length > 0) {
+            logger.warn(`Overrides set columns the feed doesn't have: ${report.unknownColumns.join(', ')}`);
+        }
+        report.errors.forEach(({ sku, column, expression, error }) => {
+            logger.error(`✗ Override ${column}${expression} for ${sku} failed: ${error}`);
+        });
+
+        return { rows, report };
+    }
+}
+
+module.exports = FeedOverrides;
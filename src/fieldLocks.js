@@ -0,0 +1,197 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const logger = require('./logger');
+const StateStore = require('./stateStore');
+
+// Fields a lock can name; a lock on the key also covers the listed changes
+// (a title lock keeps the handle, a price lock the compare-at price)
+const LOCKABLE_FIELDS = {
+    title: ['title', 'handle'],
+    handle: ['handle'],
+    description: ['description'],
+    seo: ['seo'],
+    product_type: ['product_type'],
+    tags: ['tags'],
+    category: ['category'],
+    images: ['images'],
+    metafields: ['metafields'],
+    price: ['price', 'compare_price'],
+    compare_price: ['compare_price'],
+    barcode: ['barcode'],
+    weight: ['weight']
+};
+
+// Fields the automatic mode watches for edits made in Shopify
+const AUTO_FIELDS = ['title', 'description', 'seo', 'product_type', 'tags'];
+
+const LOCK_TAG_PREFIX = 'sync-lock:';
+
+// Per-product field locks so edits made by merchandisers in the admin aren't
+// reverted by the next run. A field is locked by any of:
+//   - the sync.locked_fields metafield: "title, description"
+//   - a tag: sync-lock:title (sync-lock:all locks every field)
+//   - FIELD_LOCKS_FILE (default config/field-locks.json), by SKU or product ID:
+//     { "locks": { "012R-16": ["title", "description"], "7654321": ["all"] } }
+//   - with FIELD_LOCK_AUTO=true, a title/description/seo/product_type/tags
+//     value that no longer matches what the sync last wrote. The values
+//     written are kept as hashes in the "field_hashes" state file; products
+//     synced before the mode was enabled get their baseline on the next run.
+// Locked fields are dropped from the product's changes and listed in the run
+// results. Lock tags survive tag updates.
+class FieldLocks {
+    constructor(options = {}) {
+        this.locksFile = options.locksFile || process.env.FIELD_LOCKS_FILE || './config/field-locks.json';
+        this.auto = options.auto !== undefined ? options.auto : process.env.FIELD_LOCK_AUTO === 'true';
+        this.store = options.store || new StateStore('field_hashes', { stateDir: options.stateDir });
+        this.fileLocks = this.loadLocksFile();
+        this.hashes = null;
+    }
+
+    loadLocksFile() {
+        if (!fs.existsSync(this.locksFile)) {
+            return new Map();
+        }
+
+        const config = JSON.parse(fs.readFileSync(this.locksFile, 'utf8'));
+        const locks = new Map(Object.entries(config.locks || {}).map(([key, fields]) => [key.toLowerCase(), this.parseFields(fields, this.locksFile)]));
+        logger.info(`Loaded field locks for ${locks.size} products from ${this.locksFile}`);
+        return locks;
+    }
+
+    // Field names from a list or comma-separated string, checked against LOCKABLE_FIELDS
+    parseFields(value, source) {
+        let fields = value;
+        if (typeof value === 'string') {
+            try {
+                fields = JSON.parse(value);
+            } catch (error) {
+                fields = value.split(',');
+            }
+        }
+        return [].concat(fields).map(field => String(field).trim().toLowerCase()).filter(field => {
+            if (field === 'all' || LOCKABLE_FIELDS[field]) return true;
+            if (field) logger.warn(`Unknown locked field "${field}" in ${source}`);
+            return false;
+        });
+    }
+
+    // Load the recorded hashes at the start of a run
+    startRun() {
+        this.hashes = this.auto ? this.store.load({ products: {} }) : null;
+    }
+
+    save() {
+        if (this.hashes) {
+            this.store.save(this.hashes);
+        }
+    }
+
+    // Map of locked field -> source ("metafield", "tag", "file", "auto")
+    getLocks(product) {
+        const locks = new Map();
+        const add = (fields, source) => fields.forEach(field => {
+            if (!locks.has(field)) locks.set(field, source);
+        });
+
+        const metafield = (product.metafields || []).find(m => m.namespace === 'sync' && m.key === 'locked_fields');
+        if (metafield) {
+            add(this.parseFields(metafield.value, `sync.locked_fields of product ${product.id}`), 'metafield');
+        }
+
+        add(this.getLockTags(product.tags).map(tag => tag.slice(LOCK_TAG_PREFIX.length).toLowerCase())
+            .filter(field => field === 'all' || LOCKABLE_FIELDS[field]), 'tag');
+
+        const keys = [String(product.id), ...(product.variants || []).map(v => (v.sku || '').toLowerCase()).filter(Boolean)];
+        keys.forEach(key => {
+            if (this.fileLocks.has(key)) add(this.fileLocks.get(key), 'file');
+        });
+
+        if (this.hashes) {
+            const recorded = this.hashes.products[product.id] || {};
+            AUTO_FIELDS.forEach(field => {
+                const value = this.getFieldValue(product, field);
+                if (recorded[field] && value !== null && this.hash(value) !== recorded[field]) {
+                    add([field], 'auto');
+                }
+            });
+        }
+
+        return locks;
+    }
+
+    // Drop locked fields from a product's changes; returns { changes, locked }
+    // with locked as { field: source } for the changes that were dropped
+    applyLocks(product, changes) {
+        const locks = this.getLocks(product);
+        if (locks.size === 0) {
+            return { changes, locked: {} };
+        }
+
+        const locked = {};
+        const remaining = changes.filter(change => {
+            const lock = locks.has('all')
+                ? 'all'
+                : Object.keys(LOCKABLE_FIELDS).find(field => locks.has(field) && LOCKABLE_FIELDS[field].includes(change));
+            if (!lock) return true;
+            locked[change] = locks.get(lock);
+            return false;
+        });
+        return { changes: remaining, locked };
+    }
+
+    // Record the values the sync wrote (or found already in sync) for the
+    // automatic mode; lockedFields keep their previous hash
+    record(productId, productData, lockedFields = []) {
+        if (!this.hashes || !productId) {
+            return;
+        }
+
+        const recorded = this.hashes.products[productId] || {};
+        AUTO_FIELDS.forEach(field => {
+            if (lockedFields.includes(field)) return;
+            const value = this.getFieldValue(productData, field);
+            if (value !== null) recorded[field] = this.hash(value);
+        });
+        this.hashes.products[productId] = recorded;
+    }
+
+    // Lock tags on the existing product, to carry over into generated tags
+    getLockTags(tags) {
+        const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+        return list.map(tag => tag.trim()).filter(tag => tag.toLowerCase().startsWith(LOCK_TAG_PREFIX));
+    }
+
+    keepLockTags(generatedTags, existingTags) {
+        const lockTags = this.getLockTags(existingTags);
+        return lockTags.length > 0 ? [generatedTags, ...lockTags].filter(Boolean).join(', ') : generatedTags;
+    }
+
+    // Normalized value of a watched field, or null when the product doesn't
+    // carry it (e.g. SEO fields outside the bulk export)
+    getFieldValue(product, field) {
+        const text = value => String(value || '').replace(/>\s+</g, '><').replace(/\s+/g, ' ').trim();
+        switch (field) {
+            case 'title':
+                return text(product.title);
+            case 'description':
+                return text(product.body_html);
+            case 'seo':
+                if (product.metafields_global_title_tag === undefined) return null;
+                return `${text(product.metafields_global_title_tag)}\n${text(product.metafields_global_description_tag)}`;
+            case 'product_type':
+                return text(product.product_type);
+            case 'tags':
+                // Adding a lock tag isn't an edit of the synced tags
+                return String(product.tags || '').split(',').map(tag => tag.trim().toLowerCase())
+                    .filter(tag => tag && !tag.startsWith(LOCK_TAG_PREFIX)).sort().join(',');
+            default:
+                return null;
+        }
+    }
+
+    hash(value) {
+        return crypto.createHash('sha1').update(value).digest('hex');
+    }
+}
+
+module.exports = FieldLocks;
@@ -0,0 +1,55 @@
+// Handles in use in the shop during a run, so the handle generated for a feed
+// product is chosen deterministically instead of Shopify appending "-1", "-2"
+// in creation order. A product gets the plain handle when it is free (or
+// already its own) and otherwise the SKU appended:
+//   14k-rose-gold-rope-chain -> 14k-rose-gold-rope-chain-012r-16
+// A product already on either form keeps it, so handles don't flip back when
+// a collision goes away.
+class HandleRegistry {
+    constructor(products = []) {
+        this.owners = new Map();
+        products.forEach(product => {
+            if (product.handle) {
+                this.owners.set(product.handle, this.getOwner(product.id, null));
+            }
+        });
+    }
+
+    // Existing products are identified by ID, new ones by SKU until created
+    getOwner(productId, sku) {
+        return productId ? `product:${productId}` : `sku:${String(sku || '').toLowerCase()}`;
+    }
+
+    resolve(baseHandle, sku, productId = null, currentHandle = null) {
+        const owner = this.getOwner(productId, sku);
+        const skuSlug = String(sku || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        const candidates = [baseHandle];
+        if (skuSlug) {
+            candidates.push(`${baseHandle}-${skuSlug}`);
+        }
+
+        let handle = candidates.includes(currentHandle) && this.isAvailable(currentHandle, owner)
+            ? currentHandle
+            : candidates.find(candidate => this.isAvailable(candidate, owner));
+        for (let n = 2; !handle; n++) {
+            const candidate = `${candidates[candidates.length - 1]}-${n}`;
+            if (this.isAvailable(candidate, owner)) handle = candidate;
+        }
+
+        this.owners.set(handle, owner);
+        return handle;
+    }
+
+    isAvailable(handle, owner) {
+        return !this.owners.has(handle) || this.owners.get(handle) === owner;
+    }
+
+    // Record a handle change so the old one can be reused
+    release(handle, productId) {
+        if (this.owners.get(handle) === this.getOwner(productId, null)) {
+            this.owners.delete(handle);
+        }
+    }
+}
+
+module.exports = HandleRegistry;
@@ -0,0 +1,197 @@
+const path = require('path');
+const logger = require('./logger');
+
+const SOURCES_NAMESPACE = 'custom';
+const SOURCES_KEY = 'image_sources';
+
+// Shopify rewrites image src to its CDN, so feed URLs can't be compared with
+// product images directly. Each image is identified by its source key (the
+// file name of the QGold URL, which is also Image{n}Name) and the product keeps
+// a custom.image_sources metafield mapping those keys to Shopify image IDs.
+// Diffs are per image: only added, removed or reordered images are touched.
+// Only images the sync knows it placed are ever removed; images added in the
+// admin or by another app are left where they are. Images whose feed link the
+// validator rejected are kept on the product, so a bad link never removes an
+// image that is already there.
+class ImageSync {
+    constructor(shopifyClient) {
+        this.client = shopifyClient;
+        this.rejectedKeys = new Set();
+        this.rejectedFrom = null;
+    }
+
+    // "https://images.qgold.com/qgrepo/012R--2.jpg?w=1000&h=1000" -> "012r--2.jpg"
+    getSourceKey(src) {
+        try {
+            return decodeURIComponent(path.posix.basename(new URL(src).pathname)).toLowerCase();
+        } catch (error) {
+            return String(src).toLowerCase();
+        }
+    }
+
+    // Drop images pointing at a file already in the list (ImageLink_1000 and Image1Link)
+    dedupe(images) {
+        const seen = new Set();
+        return images.filter(image => {
+            const key = this.getSourceKey(image.src);
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
+
+    // Map of source key -> Shopify image ID for images still on the product.
+    // Products without the metafield (created before it existed) are matched by
+    // the file name Shopify keeps in the CDN URL, and only for images the feed
+    // sends: any other image can't be told apart from one added by hand.
+    getImageSources(existingProduct, feedKeys) {
+        const images = existingProduct.images || [];
+        const imageIds = new Set(images.map(image => image.id));
+        const sources = new Map();
+
+        const metafield = (existingProduct.metafields || [])
+            .find(m => m.namespace === SOURCES_NAMESPACE && m.key === SOURCES_KEY);
+
+        if (metafield) {
+            try {
+                JSON.parse(metafield.value).forEach(({ key, id }) => {
+                    if (imageIds.has(id)) sources.set(key, id);
+                });
+                return sources;
+            } catch (error) {
+                logger.warn(`Invalid image_sources metafield on product ${existingProduct.id}, matching by file name`);
+            }
+        }
+
+        const feedKeySet = new Set(feedKeys);
+        images.forEach(image => {
+            const key = this.getImageKey(image);
+            if (feedKeySet.has(key) && !sources.has(key)) sources.set(key, image.id);
+        });
+        return sources;
+    }
+
+    // Source key of an image on the product from its CDN file name; Shopify
+    // appends _<uuid> to duplicate file names
+    getImageKey(image) {
+        return this.getSourceKey(image.src).replace(/_[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}(?=\.[a-z]+$)/, '');
+    }
+
+    // Source keys of the feed links the validator rejected in this run
+    getRejectedKeys() {
+        const rejected = this.client.imageValidator.rejected;
+        if (this.rejectedFrom !== rejected) {
+            this.rejectedKeys = new Set([...rejected.keys()].map(src => this.getSourceKey(src)));
+            this.rejectedFrom = rejected;
+        }
+        return this.rejectedKeys;
+    }
+
+    diffImages(feedImages, existingProduct) {
+        const feedKeys = feedImages.map(image => this.getSourceKey(image.src));
+        const sources = this.getImageSources(existingProduct, feedKeys);
+        const feedKeySet = new Set(feedKeys);
+        const sourceIds = new Set(sources.values());
+        const rejectedKeys = this.getRejectedKeys();
+        const keptIds = new Set([...sources.entries()]
+            .filter(([key]) => !feedKeySet.has(key) && rejectedKeys.has(key))
+            .map(([, id]) => id));
+
+        const toAdd = feedImages.filter((image, index) => !sources.has(feedKeys[index]));
+        // Images we placed whose source left the feed
+        const toRemove = [...sources.entries()]
+            .filter(([key, id]) => !feedKeySet.has(key) && !keptIds.has(id))
+            .map(([, id]) => id);
+
+        // Feed images in current order vs. feed order
+        const currentOrder = [...(existingProduct.images || [])]
+            .sort((a, b) => (a.position || 0) - (b.position || 0))
+            .map(image => image.id)
+            .filter(id => !toRemove.includes(id) && !keptIds.has(id) && sourceIds.has(id));
+        const desiredOrder = feedKeys.filter(key => sources.has(key)).map(key => sources.get(key));
+        const reorder = toAdd.length === 0 && currentOrder.join(',') !== desiredOrder.join(',');
+
+        return {
+            hasChanges: toAdd.length > 0 || toRemove.length > 0 || reorder,
+            toAdd,
+            toRemove,
+            reorder,
+            summary: `+${toAdd.length} -${toRemove.length}${reorder ? ' reordered' : ''}`
+        };
+    }
+
+    async applyImageChanges(existingProduct, feedImages) {
+        const diff = this.diffImages(feedImages, existingProduct);
+        if (!diff.hasChanges) {
+            return diff;
+        }
+
+        const productId = existingProduct.id;
+        const sources = this.getImageSources(existingProduct, feedImages.map(image => this.getSourceKey(image.src)));
+
+        for (const imageId of diff.toRemove) {
+            await this.client.request({
+                method: 'delete',
+                url: `${this.client.baseURL}/products/${productId}/images/${imageId}.json`
+            });
+            sources.forEach((id, key) => {
+                if (id === imageId) sources.delete(key);
+            });
+        }
+
+        // Add missing images and move every image to its feed position
+        for (let index = 0; index < feedImages.length; index++) {
+            const image = feedImages[index];
+            const key = this.getSourceKey(image.src);
+            const position = index + 1;
+
+            if (!sources.has(key)) {
+                const response = await this.client.request({
+                    method: 'post',
+                    url: `${this.client.baseURL}/products/${productId}/images.json`,
+                    data: { image: { src: image.src, alt: image.alt, position } }
+                });
+                sources.set(key, response.data.image.id);
+            } else if (diff.reorder || diff.toAdd.length > 0) {
+                await this.client.request({
+                    method: 'put',
+                    url: `${this.client.baseURL}/products/${productId}/images/${sources.get(key)}.json`,
+                    data: { image: { id: sources.get(key), position } }
+                });
+            }
+        }
+
+        await this.saveImageSources(productId, feedImages, sources);
+        logger.debug(`Images for product ${productId}: ${diff.summary}`);
+        return diff;
+    }
+
+    // Record the source key of each image on a newly created product, which
+    // returns images in the order they were sent
+    async recordCreatedImages(createdProduct, feedImages) {
+        const sources = new Map();
+        const created = [...(createdProduct.images || [])].sort((a, b) => a.position - b.position);
+        feedImages.forEach((image, index) => {
+            if (created[index]) sources.set(this.getSourceKey(image.src), created[index].id);
+        });
+        await this.saveImageSources(createdProduct.id, feedImages, sources);
+    }
+
+    // Feed images in feed order, then images kept for rejected links
+    async saveImageSources(productId, feedImages, sources) {
+        const feedKeys = feedImages.map(image => this.getSourceKey(image.src));
+        const value = [
+            ...feedKeys.filter(key => sources.has(key)),
+            ...[...sources.keys()].filter(key => !feedKeys.includes(key))
+        ].map(key => ({ key, id: sources.get(key) }));
+
+        await this.client.metafieldSync.setMetafields(productId, [{
+            namespace: SOURCES_NAMESPACE,
+            key: SOURCES_KEY,
+            type: 'json',
+            value: JSON.stringify(value)
+        }]);
+    }
+}
+
+module.exports = ImageSync;
@@ -0,0 +1,195 @@
+const axios = require('axios');
+const path = require('path');
+const logger = require('./logger');
+const StateStore = require('./stateStore');
+
+const IMAGE_EXTENSIONS = new Set(['.jpg', '.jpeg', '.png', '.gif', '.webp']);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Screens supplier image links before they reach createProduct, where one bad
+// image fails the whole product. Every run rejects:
+//   - malformed or non-http(s) URLs
+//   - placeholders with no file name
+//     (https://images.qgold.com/qgrepo/?w=1000&h=1000)
+//   - files without an image extension
+//   - images smaller than IMAGE_MIN_DIMENSION per Image{n}MaxHeight/Width
+// With IMAGE_PROBE=true each remaining URL is also checked with a HEAD request
+// (status and content-type); results are cached for IMAGE_PROBE_CACHE_DAYS.
+// Timeouts, connection errors, 408, 429 and 5xx responses say nothing about
+// the image, so those links are neither cached nor rejected.
+class ImageValidator {
+    constructor(options = {}) {
+        this.minDimension = options.minDimension !== undefined
+            ? options.minDimension
+            : parseInt(process.env.IMAGE_MIN_DIMENSION || 200);
+        this.probe = options.probe !== undefined ? options.probe : process.env.IMAGE_PROBE === 'true';
+        this.probeConcurrency = options.probeConcurrency || 8;
+        this.cacheDays = parseFloat(process.env.IMAGE_PROBE_CACHE_DAYS || 7);
+        this.cacheStore = options.cacheStore || new StateStore('image_probe_cache');
+        this.rejected = new Map();
+    }
+
+    // Links in the image columns createImages reads
+    getRowImages(csvItem) {
+        const images = [];
+        if (csvItem.ImageLink_1000) {
+            images.push({ src: csvItem.ImageLink_1000 });
+        }
+        for (let i = 1; i <= 9; i++) {
+            const src = csvItem[`Image${i}Link`];
+            if (src && src.trim()) {
+                images.push({
+                    src,
+                    height: parseInt(csvItem[`Image${i}MaxHeight`]) || null,
+                    width: parseInt(csvItem[`Image${i}MaxWidth`]) || null
+                });
+            }
+        }
+        return images;
+    }
+
+    // Check every image link in the feed; afterwards isUsable() answers per URL
+    async validateFeed(csvData) {
+        this.reset();
+        const dimensionsByFile = new Map();
+        const urls = new Set();
+
+        csvData.forEach(csvItem => {
+            this.getRowImages(csvItem).forEach(image => {
+                urls.add(image.src);
+                if (image.height && image.width) {
+                    dimensionsByFile.set(this.getFileName(image.src), image);
+                }
+            });
+        });
+
+        const toProbe = [];
+        urls.forEach(url => {
+            // ImageLink_1000 has no dimension columns; it shares the file of Image1Link
+            const reason = this.checkUrl(url) || this.checkDimensions(dimensionsByFile.get(this.getFileName(url)));
+            if (reason) {
+                this.rejected.set(url, reason);
+            } else if (this.probe) {
+                toProbe.push(url);
+            }
+        });
+
+        if (toProbe.length > 0) {
+            await this.probeUrls(toProbe);
+        }
+
+        const report = {
+            checked: urls.size,
+            rejected: this.rejected.size,
+            byReason: {},
+            samples: []
+        };
+        this.rejected.forEach((reason, url) => {
+            report.byReason[reason] = (report.byReason[reason] || 0) + 1;
+            if (report.samples.length < 20) report.samples.push({ url, reason });
+        });
+
+        logger.info(`Image validation: ${report.checked} links checked, ${report.rejected} rejected ${JSON.stringify(report.byReason)}`);
+        return report;
+    }
+
+    reset() {
+        this.rejected = new Map();
+    }
+
+    isUsable(url) {
+        return !this.rejected.has(url);
+    }
+
+    // Reason the URL can't be an image, or null
+    checkUrl(url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            return 'malformed';
+        }
+
+        if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+            return 'malformed';
+        }
+
+        const fileName = path.posix.basename(parsed.pathname);
+        if (!fileName || parsed.pathname.endsWith('/')) {
+            return 'placeholder';
+        }
+
+        if (!IMAGE_EXTENSIONS.has(path.posix.extname(fileName).toLowerCase())) {
+            return 'not-an-image';
+        }
+        return null;
+    }
+
+    checkDimensions(image) {
+        if (!image || !this.minDimension) {
+            return null;
+        }
+        return Math.min(image.height, image.width) < this.minDimension ? 'too-small' : null;
+    }
+
+    getFileName(url) {
+        try {
+            return path.posix.basename(new URL(url).pathname).toLowerCase();
+        } catch (error) {
+            return url;
+        }
+    }
+
+    async probeUrls(urls) {
+        const cache = this.cacheStore.load({});
+        const cutoff = Date.now() - this.cacheDays * DAY_MS;
+        const pending = urls.filter(url => !cache[url] || this.isTransient(cache[url].reason) ||
+            new Date(cache[url].checkedAt).getTime() < cutoff);
+
+        logger.info(`Probing ${pending.length} image links (${urls.length - pending.length} cached)...`);
+
+        let index = 0;
+        let transient = 0;
+        const worker = async () => {
+            while (index < pending.length) {
+                const url = pending[index++];
+                const reason = await this.probeUrl(url);
+                if (this.isTransient(reason)) {
+                    transient++;
+                    delete cache[url];
+                } else {
+                    cache[url] = { reason, checkedAt: new Date().toISOString() };
+                }
+            }
+        };
+        await Promise.all(Array.from({ length: this.probeConcurrency }, worker));
+
+        if (transient > 0) {
+            logger.warn(`${transient} image links could not be probed (timeouts or server errors); they are kept and probed again next run`);
+        }
+
+        urls.forEach(url => {
+            if (cache[url] && cache[url].reason) {
+                this.rejected.set(url, cache[url].reason);
+            }
+        });
+
+        this.cacheStore.save(cache);
+    }
+
+    isTransient(reason) {
+        return reason === 'unreachable' || /^http-(408|429|5\d\d)$/.test(reason || '');
+    }
+
+    async probeUrl(url) {
+        try {
+            const response = await axios.head(url, { timeout: 10000, maxRedirects: 5 });
+            const contentType = response.headers['content-type'] || '';
+            return contentType.startsWith('image/') ? null : 'not-an-image';
+        } catch (error) {
+            return error.response ? `http-${error.response.status}` : 'unreachable';
+        }
+    }
+}
+
+module.exports = ImageValidator;
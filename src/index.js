@@ -1,8 +1,12 @@
 require('dotenv').config();
 const cron = require('node-cron');
+const crypto = require('crypto');
 const FTPClient = require('./ftpClient');
 const CSVProcessor = require('./csvProcessor');
 const ShopifyClient = require('./shopifyClient');
+const StoreRegistry = require('./storeRegistry');
+const RunHistory = require('./runHistory');
+const { createPriceSource } = require('./priceSources');
 const logger = require('./logger');
 const fs = require('fs');
 const path = require('path');
@@ -11,7 +15,8 @@ class ProductDataCronJob {
   constructor() {
     this.ftpClient = new FTPClient();
     this.csvProcessor = new CSVProcessor();
-    this.shopifyClient = new ShopifyClient();
+    this.storeRegistry = new StoreRegistry();
+    this.shopifyClients = this.storeRegistry.stores.map(store => new ShopifyClient(store));
     this.isRunning = false;
     this.downloadDir = process.env.DOWNLOAD_DIR || './downloads';
     this.keepFilesDays = parseInt(process.env.KEEP_FILES_DAYS) || 7;
@@ -29,6 +34,22 @@ class ProductDataCronJob {
     logger.info(`Keep files for: ${this.keepFilesDays} days`);
   }
 
+  // Limit this run to one store from the registry (--store <name>)
+  selectStore(name) {
+    const store = this.storeRegistry.get(name);
+    this.shopifyClients = this.shopifyClients.filter(client => client.store.name === store.name);
+    logger.info(`Using store: ${store.name}`);
+  }
+
+  // Client for the commands that act on one store (approvals, blocklist, run
+  // history, adoption...); with several stores one must be picked
+  getStoreClient() {
+    if (this.shopifyClients.length > 1) {
+      throw new Error(`${this.shopifyClients.length} stores are configured (${this.shopifyClients.map(client => client.store.name).join(', ')}); pass --store <name>`);
+    }
+    return this.shopifyClients[0];
+  }
+
   async executeJob() {
     if (this.isRunning) {
       logger.warn('Job is already running, skipping this execution');
@@ -64,29 +85,23 @@ class ProductDataCronJob {
         logger.info('First product item:', JSON.stringify(result.data[0], null, 2));
       }
 
-      // Step 6: Fetch Shopify products
-      logger.info('Fetching products from Shopify...');
-      const shopifyProducts = await this.shopifyClient.getAllProducts();
-      this.shopifyClient.logProductSummary(shopifyProducts);
-
-      // Step 7: Create products from CSV data
-      logger.info('='.repeat(50));
-      logger.info('Starting product creation from CSV data...');
-      
+      // Step 6: Sync every store from the same parsed feed, under one run ID
       const processOptions = {
-        batchSize: parseInt(process.env.SHOPIFY_BATCH_SIZE) || 10,
-        delayBetweenBatches: parseInt(process.env.SHOPIFY_BATCH_DELAY) || 1000,
+        runId: RunHistory.createRunId(),
+        feedId: this.getFeedId(downloadedFile),
         dryRun: process.env.SHOPIFY_DRY_RUN === 'true',
         parallelBatch: process.env.SHOPIFY_PARALLEL_BATCH !== 'false',
         enableUpdates: process.env.SHOPIFY_ENABLE_UPDATES !== 'false' // New option for updates
       };
 
       logger.info(`Processing options:`, processOptions);
-      
-      // Use the new method that handles both creation and updates
-      const creationResults = await this.shopifyClient.processProductsFromCSV(result.data, shopifyProducts, processOptions);
 
-      // Step 8: Save data for comparison and results
+      const storeResults = {};
+      for (const shopifyClient of this.shopifyClients) {
+        storeResults[shopifyClient.store.name] = await this.syncStore(shopifyClient, result.data, processOptions);
+      }
+
+      // Step 7: Save data for comparison and results
       const dataSnapshot = {
         ftpData: {
           fileName: path.basename(downloadedFile),
@@ -94,17 +109,7 @@ class ProductDataCronJob {
           firstItem: result.data[0] || null,
           processedAt: new Date().toISOString()
         },
-        shopifyData: {
-          productCount: shopifyProducts.length,
-          fetchedAt: new Date().toISOString(),
-          sampleProducts: shopifyProducts.slice(0, 3).map(p => ({
-            id: p.id,
-            title: p.title,
-            handle: p.handle,
-            status: p.status
-          }))
-        },
-        creationResults: creationResults
+        stores: storeResults
       };
 
       // Save snapshot for future comparison
@@ -112,17 +117,23 @@ class ProductDataCronJob {
       fs.writeFileSync(snapshotFile, JSON.stringify(dataSnapshot, null, 2));
       logger.info(`Data snapshot saved: ${snapshotFile}`);
 
-      // Step 9: Clean up old files
+      // Step 8: Clean up old files
       await this.cleanupOldFiles();
 
       const endTime = Date.now();
       const totalDuration = ((endTime - startTime) / 1000).toFixed(2);
       
+      const failedStores = Object.keys(storeResults).filter(name => storeResults[name].error);
+
       logger.info('='.repeat(50));
-      logger.info(`Job completed successfully in ${totalDuration}s`);
-      logger.info(`Products created: ${creationResults.created}`);
-      logger.info(`Products skipped: ${creationResults.skipped}`);
-      logger.info(`Errors: ${creationResults.errors}`);
+      if (failedStores.length === 0) {
+        logger.info(`Job completed successfully in ${totalDuration}s`);
+      } else {
+        logger.warn(`Job completed in ${totalDuration}s with failed stores: ${failedStores.join(', ')}`);
+      }
+      Object.entries(storeResults).forEach(([name, storeResult]) => {
+        this.logStoreSummary(name, storeResult);
+      });
       logger.info('='.repeat(50));
 
     } catch (error) {
@@ -138,6 +149,113 @@ class ProductDataCronJob {
     }
   }
 
+  // Fetch one store's products and sync its share of the feed. Errors are
+  // returned rather than thrown so one failing store doesn't stop the others.
+  async syncStore(shopifyClient, csvData, processOptions) {
+    const store = shopifyClient.store;
+
+    try {
+      logger.info('='.repeat(50));
+      logger.info(`Syncing store: ${store.name}`);
+
+      const options = { ...processOptions, ...store.options };
+      if (store.batchSize) options.batchSize = store.batchSize;
+
+      // Overrides go over the whole feed before the store filters, so a
+      // corrected ProductLine or Categories decides which store gets the row,
+      // and only SKUs missing from the feed are reported as stale
+      let feedData = csvData;
+      const applyOverrides = options.applyOverrides !== undefined ? options.applyOverrides : shopifyClient.feedOverrides.enabled;
+      if (applyOverrides) {
+        ({ rows: feedData, report: options.overrides } = await shopifyClient.feedOverrides.apply(csvData));
+      }
+      options.applyOverrides = false;
+
+      const storeData = this.storeRegistry.filterFeed(store, feedData);
+      if (storeData.length !== feedData.length) {
+        logger.info(`Store filters keep ${storeData.length} of ${feedData.length} feed rows`);
+      }
+
+      // Fetch Shopify products, unless an interrupted run is resumed from
+      // the products it started with
+      const journal = shopifyClient.runJournal;
+      let shopifyProducts = !options.dryRun && journal.findRun(options.feedId) ? journal.loadProducts() : null;
+      if (shopifyProducts) {
+        logger.info(`Resuming an interrupted run with the ${shopifyProducts.length} products it fetched`);
+      } else {
+        logger.info('Fetching products from Shopify...');
+        shopifyProducts = await shopifyClient.getAllProducts();
+        shopifyClient.logProductSummary(shopifyProducts);
+      }
+
+      // Create products from CSV data
+      logger.info('='.repeat(50));
+      logger.info('Starting product creation from CSV data...');
+
+      // Use the new method that handles both creation and updates
+      const creationResults = await shopifyClient.processProductsFromCSV(storeData, shopifyProducts, options);
+
+      return {
+        feedRows: storeData.length,
+        shopifyData: this.getShopifyData(shopifyProducts),
+        creationResults
+      };
+    } catch (error) {
+      logger.error(`Sync failed for store ${store.name}:`, error);
+      return { error: error.message };
+    }
+  }
+
+  // File name and content hash of a feed file; an interrupted run is only
+  // resumed with the same feed
+  getFeedId(filePath) {
+    const hash = crypto.createHash('sha1').update(fs.readFileSync(filePath)).digest('hex');
+    return `${path.basename(filePath)}:${hash.slice(0, 12)}`;
+  }
+
+  getShopifyData(shopifyProducts) {
+    return {
+      productCount: shopifyProducts.length,
+      fetchedAt: new Date().toISOString(),
+      sampleProducts: shopifyProducts.slice(0, 3).map(p => ({
+        id: p.id,
+        title: p.title,
+        handle: p.handle,
+        status: p.status
+      }))
+    };
+  }
+
+  // Options of the create-only commands (--shopify-only, --create-products):
+  // what createProductsFromCSV runs, applied per store through syncStore
+  getCreateOnlyOptions(options = {}) {
+    return {
+      ...options,
+      enableUpdates: false,
+      manageLifecycle: false
+    };
+  }
+
+  logStoreSummary(name, storeResult) {
+    if (storeResult.error) {
+      logger.error(`[${name}] Failed: ${storeResult.error}`);
+      return;
+    }
+
+    const creationResults = storeResult.creationResults;
+    logger.info(`[${name}] Run ID: ${creationResults.runId}`);
+    logger.info(`[${name}] Products created: ${creationResults.created}`);
+    logger.info(`[${name}] Products updated: ${creationResults.updated}`);
+    logger.info(`[${name}] Products skipped: ${creationResults.skipped}`);
+    logger.info(`[${name}] Errors: ${creationResults.errors}`);
+    if (creationResults.inventory && !creationResults.inventory.error) {
+      logger.info(`[${name}] Inventory adjusted: ${creationResults.inventory.adjusted}`);
+    }
+    if (creationResults.images && !creationResults.images.error) {
+      logger.info(`[${name}] Products without images: ${creationResults.images.withoutImages.length}`);
+    }
+  }
+
   async cleanupOldFiles() {
     try {
       logger.info('Cleaning up old files...');
@@ -183,16 +301,39 @@ class ProductDataCronJob {
 
     logger.info('Cron job scheduled successfully');
 
+    // Optional metal repricing between full syncs
+    const repriceSchedule = process.env.REPRICE_CRON_SCHEDULE;
+    let repriceTask = null;
+    if (repriceSchedule) {
+      if (!cron.validate(repriceSchedule)) {
+        throw new Error(`Invalid reprice cron schedule: ${repriceSchedule}`);
+      }
+
+      repriceTask = cron.schedule(repriceSchedule, async () => {
+        try {
+          await this.runRepricing();
+        } catch (error) {
+          // Already logged; keep the schedule running
+        }
+      }, {
+        scheduled: true,
+        timezone: process.env.TIMEZONE || 'UTC'
+      });
+      logger.info(`Repricing scheduled: ${repriceSchedule}`);
+    }
+
     // Graceful shutdown handling
     process.on('SIGINT', () => {
       logger.info('Received SIGINT, shutting down gracefully...');
       task.stop();
+      if (repriceTask) repriceTask.stop();
       process.exit(0);
     });
 
     process.on('SIGTERM', () => {
       logger.info('Received SIGTERM, shutting down gracefully...');
       task.stop();
+      if (repriceTask) repriceTask.stop();
       process.exit(0);
     });
 
@@ -227,6 +368,7 @@ class ProductDataCronJob {
 
       let ftpData = null;
       let csvData = [];
+      let feedId = null;
       
       if (existingFiles.length > 0) {
         const latestFile = existingFiles.sort().pop();
@@ -241,6 +383,7 @@ class ProductDataCronJob {
         // Process the CSV file
         const result = await this.csvProcessor.processFile(filePath);
         csvData = result.data;
+        feedId = this.getFeedId(filePath);
         
         // Log results and first item
         logger.info('CSV processing completed successfully');
@@ -268,47 +411,36 @@ class ProductDataCronJob {
         };
       }
 
-      // Fetch Shopify products
-      logger.info('Fetching products from Shopify...');
-      const shopifyProducts = await this.shopifyClient.getAllProducts();
-      this.shopifyClient.logProductSummary(shopifyProducts);
-
-      // Create products from CSV data if available
-      let creationResults = null;
+      // Create products from CSV data in every selected store, if available
+      const storeResults = {};
       if (csvData.length > 0) {
-        logger.info('='.repeat(50));
-        logger.info('Starting product creation from CSV data...');
-        
-        // Configuration for product creation
-        const createOptions = {
-          batchSize: parseInt(process.env.SHOPIFY_BATCH_SIZE) || 20,
-          delayBetweenBatches: parseInt(process.env.SHOPIFY_BATCH_DELAY) || 2000,
+        const createOptions = this.getCreateOnlyOptions({
+          feedId,
           skipExisting: process.env.SHOPIFY_SKIP_EXISTING !== 'false',
           dryRun: process.env.SHOPIFY_DRY_RUN === 'true'
-        };
-
+        });
         logger.info(`Creation options:`, createOptions);
-        
-        creationResults = await this.shopifyClient.createProductsFromCSV(csvData, shopifyProducts, createOptions);
+
+        for (const shopifyClient of this.shopifyClients) {
+          storeResults[shopifyClient.store.name] = await this.syncStore(shopifyClient, csvData, createOptions);
+        }
+      } else {
+        for (const shopifyClient of this.shopifyClients) {
+          logger.info(`Fetching products from Shopify store ${shopifyClient.store.name}...`);
+          const shopifyProducts = await shopifyClient.getAllProducts();
+          shopifyClient.logProductSummary(shopifyProducts);
+          storeResults[shopifyClient.store.name] = {
+            shopifyData: this.getShopifyData(shopifyProducts),
+            note: 'No CSV data available for product creation'
+          };
+        }
       }
 
       // Save data snapshot
       const dataSnapshot = {
         mode: 'shopify-only',
         ftpData,
-        shopifyData: {
-          productCount: shopifyProducts.length,
-          fetchedAt: new Date().toISOString(),
-          sampleProducts: shopifyProducts.slice(0, 3).map(p => ({
-            id: p.id,
-            title: p.title,
-            handle: p.handle,
-            status: p.status
-          }))
-        },
-        creationResults: creationResults || {
-          note: 'No CSV data available for product creation'
-        }
+        stores: storeResults
       };
 
       // Save snapshot
@@ -320,14 +452,12 @@ class ProductDataCronJob {
       const totalDuration = ((endTime - startTime) / 1000).toFixed(2);
       
       logger.info('='.repeat(50));
-      logger.info(`Shopify-only job completed successfully in ${totalDuration}s`);
-      
-      if (creationResults) {
-        logger.info(`Products created: ${creationResults.created}`);
-        logger.info(`Products skipped: ${creationResults.skipped}`);
-        logger.info(`Errors: ${creationResults.errors}`);
+      logger.info(`Shopify-only job completed in ${totalDuration}s`);
+      if (csvData.length > 0) {
+        Object.entries(storeResults).forEach(([name, storeResult]) => {
+          this.logStoreSummary(name, storeResult);
+        });
       }
-      
       logger.info('='.repeat(50));
 
     } catch (error) {
@@ -378,24 +508,26 @@ class ProductDataCronJob {
       logger.info('CSV processing completed successfully');
       logger.info(`Processed ${result.stats.processedRows} products in ${result.stats.duration}s`);
 
-      // Create products from CSV data
-      const createOptions = {
-        batchSize: parseInt(process.env.SHOPIFY_BATCH_SIZE) || 5,
-        delayBetweenBatches: parseInt(process.env.SHOPIFY_BATCH_DELAY) || 2000,
+      // Create products from CSV data in every selected store
+      const createOptions = this.getCreateOnlyOptions({
+        feedId: this.getFeedId(filePath),
         skipExisting: process.env.SHOPIFY_SKIP_EXISTING !== 'false',
         dryRun: process.env.SHOPIFY_DRY_RUN === 'true',
         ...options
-      };
+      });
 
       logger.info(`Creation options:`, createOptions);
-      
-      const creationResults = await this.shopifyClient.createProductsFromCSV(result.data, NULL, createOptions);
+
+      const storeResults = {};
+      for (const shopifyClient of this.shopifyClients) {
+        storeResults[shopifyClient.store.name] = await this.syncStore(shopifyClient, result.data, createOptions);
+      }
 
       // Save results
       const resultsFile = path.join(this.downloadDir, `creation_results_${new Date().toISOString().split('T')[0]}.json`);
       fs.writeFileSync(resultsFile, JSON.stringify({
         csvFile: latestFile,
-        creationResults,
+        stores: storeResults,
         processedAt: new Date().toISOString()
       }, null, 2));
       
@@ -406,12 +538,12 @@ class ProductDataCronJob {
       
       logger.info('='.repeat(50));
       logger.info(`Product creation completed in ${totalDuration}s`);
-      logger.info(`Products created: ${creationResults.created}`);
-      logger.info(`Products skipped: ${creationResults.skipped}`);
-      logger.info(`Errors: ${creationResults.errors}`);
+      Object.entries(storeResults).forEach(([name, storeResult]) => {
+        this.logStoreSummary(name, storeResult);
+      });
       logger.info('='.repeat(50));
 
-      return creationResults;
+      return storeResults;
 
     } catch (error) {
       logger.error('Product creation job failed:', error);
@@ -421,6 +553,269 @@ class ProductDataCronJob {
       this.isRunning = false;
     }
   }
+
+  // Reprice gold items from a new spot price without downloading the catalog
+  async runRepricing(options = {}) {
+    if (this.isRunning) {
+      logger.warn('Job is already running, skipping this execution');
+      return;
+    }
+
+    this.isRunning = true;
+    const startTime = Date.now();
+
+    try {
+      logger.info('='.repeat(50));
+      logger.info('Running metal market repricing');
+      logger.info('='.repeat(50));
+
+      const spotPrice = options.spotPrice || await createPriceSource().getSpotPrice();
+      const results = {};
+      for (const shopifyClient of this.shopifyClients) {
+        const name = shopifyClient.store.name;
+        try {
+          results[name] = await shopifyClient.metalRepricer.reprice(spotPrice, {
+            dryRun: options.dryRun || process.env.SHOPIFY_DRY_RUN === 'true'
+          });
+        } catch (error) {
+          logger.error(`Repricing failed for store ${name}:`, error);
+          results[name] = { error: error.message };
+        }
+      }
+
+      const resultsFile = path.join(this.downloadDir, `reprice_results_${new Date().toISOString().replace(/[:.]/g, '-')}.json`);
+      fs.writeFileSync(resultsFile, JSON.stringify(results, null, 2));
+      logger.info(`Repricing results saved: ${resultsFile}`);
+
+      const totalDuration = ((Date.now() - startTime) / 1000).toFixed(2);
+      logger.info('='.repeat(50));
+      logger.info(`Repricing completed in ${totalDuration}s`);
+      Object.entries(results).forEach(([name, storeResults]) => {
+        if (storeResults.error) {
+          logger.error(`[${name}] Failed: ${storeResults.error}`);
+        } else {
+          logger.info(`[${name}] Variants repriced: ${storeResults.repriced}, errors: ${storeResults.errors}${storeResults.runId ? ` (run ${storeResults.runId})` : ''}`);
+        }
+      });
+      logger.info('='.repeat(50));
+
+      const failedStores = Object.keys(results).filter(name => results[name].error);
+      if (failedStores.length > 0) {
+        throw new Error(`Repricing failed for stores: ${failedStores.join(', ')}`);
+      }
+
+      return results;
+
+    } catch (error) {
+      logger.error('Repricing job failed:', error);
+      throw error;
+
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  // One-time setup: create the product metafield definitions the sync writes
+  async setupMetafieldDefinitions(options = {}) {
+    logger.info('='.repeat(50));
+    logger.info('Creating Shopify metafield definitions');
+    logger.info('='.repeat(50));
+
+    let failed = 0;
+    const results = {};
+    for (const shopifyClient of this.shopifyClients) {
+      logger.info(`Store: ${shopifyClient.store.name}`);
+      results[shopifyClient.store.name] = await shopifyClient.metafieldSync.ensureDefinitions(options);
+      failed += results[shopifyClient.store.name].errors.length;
+    }
+
+    // Search & Discovery filters are enabled in the app, not through the API
+    const filterable = this.shopifyClients[0].metafieldSync.definitions.filter(d => d.filterable);
+    if (filterable.length > 0) {
+      logger.info(`Add Search & Discovery filters for: ${filterable.map(d => `${d.namespace}.${d.key}`).join(', ')}`);
+    }
+
+    if (failed > 0) {
+      throw new Error(`Failed to create ${failed} metafield definitions`);
+    }
+    return results;
+  }
+
+  // Products held back by the publication rules until reviewed
+  listPendingPublications() {
+    const pending = this.getStoreClient().publicationSync.listPending();
+
+    logger.info('='.repeat(50));
+    logger.info(`Products held for review: ${pending.length}`);
+    logger.info('='.repeat(50));
+    pending.forEach(entry => {
+      logger.info(`${entry.id}  ${entry.skus.join(', ')}  ${entry.title}  (held ${entry.heldAt})`);
+    });
+    return pending;
+  }
+
+  // Publish held products (product ID, SKU or "all") to the channels their rules select
+  async approvePublications(selector, options = {}) {
+    const shopifyClient = this.getStoreClient();
+    if (!shopifyClient.publicationSync.enabled) {
+      throw new Error('No publication rules configured');
+    }
+
+    const results = await shopifyClient.publicationSync.approve(selector, options);
+    logger.info(`Approved: ${results.approved.length}, errors: ${results.errors.length}`);
+
+    if (results.errors.length > 0) {
+      throw new Error(`Failed to approve ${results.errors.length} products`);
+    }
+    return results;
+  }
+
+  // SKUs the sync won't recreate because their product was deleted in Shopify
+  listBlockedSkus() {
+    const blocked = this.getStoreClient().blocklist.list();
+
+    logger.info('='.repeat(50));
+    logger.info(`SKUs blocked after deletion in Shopify: ${blocked.length}`);
+    logger.info('='.repeat(50));
+    blocked.forEach(entry => {
+      logger.info(`${entry.sku}  product ${entry.productId}  ${entry.title}  (deleted ${entry.deletedAt})`);
+    });
+    return blocked;
+  }
+
+  // Let the sync create blocked SKUs again (SKU, deleted product ID or "all")
+  unblockSkus(selector) {
+    const removed = this.getStoreClient().blocklist.unblock(selector);
+    if (removed.length === 0) {
+      throw new Error(`No blocked SKU matches "${selector}"`);
+    }
+
+    logger.info(`Unblocked ${removed.length} SKUs: ${removed.map(entry => entry.sku).join(', ')}`);
+    return removed;
+  }
+
+  // Recorded sync runs of the selected store, oldest first
+  listRuns() {
+    const shopifyClient = this.getStoreClient();
+    const runs = shopifyClient.runHistory.list();
+
+    logger.info('='.repeat(50));
+    logger.info(`Recorded runs for store ${shopifyClient.store.name}: ${runs.length}`);
+    logger.info('='.repeat(50));
+    runs.forEach(run => {
+      const state = run.rolledBackAt ? `rolled back ${run.rolledBackAt}` : (run.finishedAt ? 'finished' : 'did not finish');
+      logger.info(`${run.runId}  ${run.mode === 'reprice' ? `reprice, ${run.updated} products` : `${run.created} created, ${run.updated} updated`}  (${state})`);
+    });
+    return runs;
+  }
+
+  // Undo a sync run on the selected store: restore the fields it changed and
+  // draft (or delete) the products it created
+  async rollbackRun(runId, options = {}) {
+    const results = await this.getStoreClient().runHistory.rollback(runId, options);
+
+    logger.info('='.repeat(50));
+    logger.info(`${options.dryRun ? '[DRY RUN] ' : ''}Rollback of ${runId}: ${results.restored} products restored, ${results.created} created products ${options.deleteCreated ? 'deleted' : 'drafted'}, ${results.errors.length} errors`);
+    logger.info('='.repeat(50));
+    if (results.errors.length > 0) {
+      throw new Error(`Rollback of ${runId} failed for ${results.errors.length} products`);
+    }
+    return results;
+  }
+
+  // Feed products (variant families or single rows) of a store from the
+  // latest downloaded CSV, or the given file
+  async loadFeedProducts(shopifyClient, file) {
+    let filePath = file;
+    if (!filePath) {
+      const existingFiles = fs.readdirSync(this.downloadDir).filter(file =>
+        file.endsWith('.csv') && file.includes('Extract')
+      );
+      if (existingFiles.length === 0) {
+        throw new Error('No CSV files found in downloads directory. Run a full sync first or pass --file <path>.');
+      }
+      filePath = path.join(this.downloadDir, existingFiles.sort().pop());
+    }
+
+    const result = await this.csvProcessor.processFile(filePath);
+    const rows = shopifyClient.feedOverrides.enabled
+      ? (await shopifyClient.feedOverrides.apply(result.data)).rows
+      : result.data;
+    const feedProducts = process.env.SHOPIFY_GROUP_VARIANTS !== 'false'
+      ? shopifyClient.variantGrouper.group(rows)
+      : rows.map(csvItem => ({ csvItem, family: null }));
+    return { filePath, feedProducts };
+  }
+
+  // Adoption of products the sync didn't create. Without reportFile, writes a
+  // report of the unowned products the feed would match; after review (set
+  // "apply" on each entry), pass it back to stamp those products as owned.
+  async adoptProducts(options = {}) {
+    const shopifyClient = this.getStoreClient();
+    const ownership = shopifyClient.ownership;
+    const storeName = shopifyClient.store.name;
+
+    if (options.reportFile) {
+      const report = JSON.parse(fs.readFileSync(options.reportFile, 'utf8'));
+      if (report.store && report.store !== storeName) {
+        throw new Error(`Report ${options.reportFile} is for store ${report.store}, not ${storeName}; pass --store ${report.store}`);
+      }
+
+      const results = await ownership.adopt(report, { dryRun: options.dryRun });
+      logger.info(`Adopted: ${results.adopted.length}, not approved: ${results.skipped}, errors: ${results.errors.length}`);
+      if (results.errors.length > 0) {
+        throw new Error(`Failed to adopt ${results.errors.length} products`);
+      }
+      return results;
+    }
+
+    const { filePath, feedProducts } = await this.loadFeedProducts(shopifyClient, options.file);
+    const products = await shopifyClient.getAllProducts();
+    const report = {
+      store: storeName,
+      feedFile: path.basename(filePath),
+      generatedAt: new Date().toISOString(),
+      ...ownership.buildAdoptionReport(feedProducts.map(({ csvItem, family }) => ({
+        title: family ? family.title : csvItem.Description,
+        rows: shopifyClient.getFeedRows(csvItem, family)
+      })), products)
+    };
+
+    const reportFile = path.join(this.downloadDir, `adoption_report_${storeName}_${new Date().toISOString().replace(/[:.]/g, '-')}.json`);
+    fs.writeFileSync(reportFile, JSON.stringify(report, null, 2));
+
+    const bySku = report.matches.filter(entry => entry.matchedBy === 'sku').length;
+    logger.info('='.repeat(50));
+    logger.info(`Unowned products: ${report.unownedProducts}, matched to the feed: ${report.matches.length} (${bySku} by SKU, ${report.matches.length - bySku} by title only)`);
+    logger.info(`Adoption report saved: ${reportFile}`);
+    logger.info('Review it (SKU matches are set to apply, title-only matches are not), then run --adopt --apply <report>');
+    logger.info('='.repeat(50));
+    return report;
+  }
+
+  // Render the title, description and SEO text a SKU would get from the
+  // templates, using the latest downloaded CSV (or --file), without touching Shopify
+  async previewTemplate(sku, options = {}) {
+    const shopifyClient = this.getStoreClient();
+    const { filePath, feedProducts } = await this.loadFeedProducts(shopifyClient, options.file);
+
+    const feedProduct = feedProducts.find(({ csvItem, family }) =>
+      shopifyClient.getFeedRows(csvItem, family).some(row => (row.Item || '').toLowerCase() === sku.toLowerCase())
+    );
+    if (!feedProduct) {
+      throw new Error(`SKU ${sku} not found in ${filePath}`);
+    }
+
+    const copy = shopifyClient.renderProductCopy(feedProduct.csvItem, feedProduct.family);
+
+    logger.info('='.repeat(50));
+    logger.info(`Template preview for ${sku} (template set: ${copy.set})`);
+    logger.info('='.repeat(50));
+    logger.info(`Title: ${copy.title}`);
+    logger.info(`SEO description: ${copy.seoDescription}`);
+    logger.info(`Description:\n${copy.description}`);
+    return copy;
+  }
 }
 
 // Main execution
@@ -429,10 +824,30 @@ async function main() {
     const cronJob = new ProductDataCronJob();
     await cronJob.init();
 
+    // --store <name> limits any command to one store from the registry
+    const storeIndex = process.argv.indexOf('--store');
+    if (storeIndex !== -1) {
+      const storeName = process.argv[storeIndex + 1];
+      if (!storeName || storeName.startsWith('--')) {
+        throw new Error('Usage: --store <name>');
+      }
+      cronJob.selectStore(storeName);
+    }
+
     // Check command line arguments
     const runOnce = process.argv.includes('--run-once');
     const shopifyOnly = process.argv.includes('--shopify-only');
     const createProductsOnly = process.argv.includes('--create-products');
+    const setupMetafields = process.argv.includes('--setup-metafields');
+    const reprice = process.argv.includes('--reprice');
+    const previewIndex = process.argv.indexOf('--preview-template');
+    const approveIndex = process.argv.indexOf('--approve');
+    const adopt = process.argv.includes('--adopt');
+    const listPending = process.argv.includes('--list-pending');
+    const listBlocked = process.argv.includes('--list-blocked');
+    const unblockIndex = process.argv.indexOf('--unblock');
+    const listRuns = process.argv.includes('--list-runs');
+    const rollbackIndex = process.argv.indexOf('--rollback');
     
     if (runOnce) {
       await cronJob.runOnce();
@@ -440,6 +855,69 @@ async function main() {
     } else if (shopifyOnly) {
       await cronJob.runShopifyOnly();
       process.exit(0);
+    } else if (reprice) {
+      const spotIndex = process.argv.indexOf('--spot');
+      await cronJob.runRepricing({
+        spotPrice: spotIndex !== -1 ? parseFloat(process.argv[spotIndex + 1]) : null,
+        dryRun: process.argv.includes('--dry-run')
+      });
+      process.exit(0);
+    } else if (listPending) {
+      cronJob.listPendingPublications();
+      process.exit(0);
+    } else if (approveIndex !== -1) {
+      const selector = process.argv[approveIndex + 1];
+      if (!selector || selector.startsWith('--')) {
+        throw new Error('Usage: --approve <productId|SKU|all> [--dry-run]');
+      }
+      await cronJob.approvePublications(selector, { dryRun: process.argv.includes('--dry-run') });
+      process.exit(0);
+    } else if (adopt) {
+      const applyIndex = process.argv.indexOf('--apply');
+      const fileIndex = process.argv.indexOf('--file');
+      if (applyIndex !== -1 && (!process.argv[applyIndex + 1] || process.argv[applyIndex + 1].startsWith('--'))) {
+        throw new Error('Usage: --adopt [--file <csv>] | --adopt --apply <report.json> [--dry-run]');
+      }
+      await cronJob.adoptProducts({
+        reportFile: applyIndex !== -1 ? process.argv[applyIndex + 1] : null,
+        file: fileIndex !== -1 ? process.argv[fileIndex + 1] : null,
+        dryRun: process.argv.includes('--dry-run')
+      });
+      process.exit(0);
+    } else if (listBlocked) {
+      cronJob.listBlockedSkus();
+      process.exit(0);
+    } else if (unblockIndex !== -1) {
+      const selector = process.argv[unblockIndex + 1];
+      if (!selector || selector.startsWith('--')) {
+        throw new Error('Usage: --unblock <SKU|productId|all>');
+      }
+      cronJob.unblockSkus(selector);
+      process.exit(0);
+    } else if (listRuns) {
+      cronJob.listRuns();
+      process.exit(0);
+    } else if (rollbackIndex !== -1) {
+      const runId = process.argv[rollbackIndex + 1];
+      if (!runId || runId.startsWith('--')) {
+        throw new Error('Usage: --rollback <runId> [--dry-run] [--delete-created] (see --list-runs)');
+      }
+      await cronJob.rollbackRun(runId, {
+        dryRun: process.argv.includes('--dry-run'),
+        deleteCreated: process.argv.includes('--delete-created')
+      });
+      process.exit(0);
+    } else if (previewIndex !== -1) {
+      const sku = process.argv[previewIndex + 1];
+      if (!sku || sku.startsWith('--')) {
+        throw new Error('Usage: --preview-template <SKU> [--file <path>]');
+      }
+      const fileIndex = process.argv.indexOf('--file');
+      await cronJob.previewTemplate(sku, { file: fileIndex !== -1 ? process.argv[fileIndex + 1] : null });
+      process.exit(0);
+    } else if (setupMetafields) {
+      await cronJob.setupMetafieldDefinitions({ dryRun: process.argv.includes('--dry-run') });
+      process.exit(0);
     } else if (createProductsOnly) {
       // Parse additional options for product creation
       const dryRunIndex = process.argv.indexOf('--dry-run');
@@ -0,0 +1,194 @@
+const logger = require('./logger');
+
+// Sets available stock per location through the Inventory Levels API. Variant
+// inventory_quantity is read-only on current Admin API versions, so stock is
+// handled here after products are created/updated rather than in the product
+// payload.
+//
+// Locations come from SHOPIFY_INVENTORY_LOCATIONS, a JSON object mapping a
+// location ID to the feed column holding its quantity
+// ({"61234567": "Qty_Avail"}), or from SHOPIFY_LOCATION_ID with Qty_Avail.
+// Without either the shop's primary location is used. A store in the store
+// registry can pass the same mapping as options.locations.
+class InventorySync {
+    constructor(shopifyClient, options = {}) {
+        this.client = shopifyClient;
+        this.locations = options.locations || null;
+        this.locationColumns = null;
+        // inventory_levels.json takes up to 50 item IDs and returns up to 250
+        // levels, one per item and location
+        this.levelsItemLimit = 50;
+        this.levelsPageSize = 250;
+        // Level writes handed to the request scheduler at a time, which paces
+        // them and caps concurrency
+        this.writeChunkSize = 50;
+    }
+
+    async resolveLocations() {
+        if (this.locationColumns) {
+            return this.locationColumns;
+        }
+
+        if (this.locations) {
+            this.locationColumns = Object.entries(this.locations).map(([locationId, column]) => ({
+                locationId: Number(locationId),
+                column
+            }));
+        } else if (process.env.SHOPIFY_INVENTORY_LOCATIONS) {
+            let mapping;
+            try {
+                mapping = JSON.parse(process.env.SHOPIFY_INVENTORY_LOCATIONS);
+            } catch (error) {
+                throw new Error(`Invalid SHOPIFY_INVENTORY_LOCATIONS: ${error.message}`);
+            }
+            this.locationColumns = Object.entries(mapping).map(([locationId, column]) => ({
+                locationId: Number(locationId),
+                column
+            }));
+        } else if (process.env.SHOPIFY_LOCATION_ID) {
+            this.locationColumns = [{ locationId: Number(process.env.SHOPIFY_LOCATION_ID), column: 'Qty_Avail' }];
+        } else {
+            const shop = await this.client.testConnection();
+            this.locationColumns = [{ locationId: shop.primary_location_id, column: 'Qty_Avail' }];
+        }
+
+        logger.info(`Inventory locations: ${this.locationColumns.map(l => `${l.locationId} <- ${l.column}`).join(', ')}`);
+        return this.locationColumns;
+    }
+
+    // Compare feed quantities with Shopify's levels and set the ones that differ.
+    // csvRows are all feed rows that ended up in Shopify; products are the
+    // existing, updated and newly created products, used to resolve
+    // inventory_item_id.
+    async syncInventory(csvRows, products, options = {}) {
+        const { dryRun = false } = options;
+        const results = {
+            adjusted: 0,
+            unchanged: 0,
+            missing: 0,
+            errors: 0,
+            adjustments: [],
+            errorDetails: []
+        };
+
+        const locations = await this.resolveLocations();
+        const inventoryItemsBySku = this.indexInventoryItems(products);
+
+        // Desired quantity per inventory item and location
+        const targets = [];
+        csvRows.forEach(csvItem => {
+            const inventoryItemId = csvItem.Item && inventoryItemsBySku.get(csvItem.Item.toLowerCase());
+            if (!inventoryItemId) {
+                results.missing++;
+                return;
+            }
+            locations.forEach(({ locationId, column }) => {
+                targets.push({
+                    sku: csvItem.Item,
+                    inventoryItemId,
+                    locationId,
+                    available: parseInt(csvItem[column]) || 0
+                });
+            });
+        });
+
+        logger.info(`Syncing inventory for ${targets.length} SKU/location pairs...`);
+        const currentLevels = await this.getInventoryLevels(
+            [...new Set(targets.map(t => t.inventoryItemId))],
+            locations.map(l => l.locationId)
+        );
+
+        const changed = [];
+        targets.forEach(target => {
+            const key = `${target.inventoryItemId}:${target.locationId}`;
+            const previous = currentLevels.has(key) ? currentLevels.get(key) : null;
+            if (previous === target.available) {
+                results.unchanged++;
+            } else {
+                changed.push({ ...target, previous });
+            }
+        });
+
+        for (let i = 0; i < changed.length; i += this.writeChunkSize) {
+            const chunk = changed.slice(i, i + this.writeChunkSize);
+            await Promise.all(chunk.map(target => this.applyLevel(target, dryRun, results)));
+        }
+
+        logger.info(`Inventory: ${results.adjusted} adjusted, ${results.unchanged} unchanged, ${results.missing} without inventory item, ${results.errors} errors`);
+        return results;
+    }
+
+    // Set one changed level; a failure is recorded without stopping the others
+    async applyLevel(target, dryRun, results) {
+        const { sku, inventoryItemId, locationId, previous, available } = target;
+        try {
+            if (dryRun) {
+                logger.debug(`[DRY RUN] Would set ${sku} at ${locationId}: ${previous} -> ${available}`);
+            } else {
+                await this.setInventoryLevel(inventoryItemId, locationId, available);
+                logger.debug(`✓ Inventory ${sku} at ${locationId}: ${previous} -> ${available}`);
+            }
+            results.adjusted++;
+            results.adjustments.push({ sku, locationId, previous, available });
+        } catch (error) {
+            results.errors++;
+            results.errorDetails.push({ csvItem: sku, error: error.message });
+            logger.error(`✗ Failed to set inventory for ${sku}:`, error.message);
+        }
+    }
+
+    indexInventoryItems(products) {
+        const inventoryItemsBySku = new Map();
+        products.forEach(product => {
+            (product.variants || []).forEach(variant => {
+                if (variant.sku && variant.inventory_item_id) {
+                    inventoryItemsBySku.set(variant.sku.toLowerCase(), variant.inventory_item_id);
+                }
+            });
+        });
+        return inventoryItemsBySku;
+    }
+
+    // Map of "inventoryItemId:locationId" -> available. Items are requested in
+    // chunks whose levels fit in one page.
+    async getInventoryLevels(inventoryItemIds, locationIds) {
+        const levels = new Map();
+        const chunkSize = Math.max(1, Math.min(this.levelsItemLimit, Math.floor(this.levelsPageSize / Math.max(1, locationIds.length))));
+
+        for (let i = 0; i < inventoryItemIds.length; i += chunkSize) {
+            const chunk = inventoryItemIds.slice(i, i + chunkSize);
+            const response = await this.client.request({
+                method: 'get',
+                url: `${this.client.baseURL}/inventory_levels.json`,
+                params: {
+                    inventory_item_ids: chunk.join(','),
+                    location_ids: locationIds.join(','),
+                    limit: this.levelsPageSize
+                }
+            });
+
+            response.data.inventory_levels.forEach(level => {
+                levels.set(`${level.inventory_item_id}:${level.location_id}`, level.available);
+            });
+        }
+
+        return levels;
+    }
+
+    // Connects the item to the location if needed. Setting an absolute level
+    // is safe to retry.
+    async setInventoryLevel(inventoryItemId, locationId, available) {
+        const response = await this.client.request({
+            method: 'post',
+            url: `${this.client.baseURL}/inventory_levels/set.json`,
+            data: {
+                location_id: locationId,
+                inventory_item_id: inventoryItemId,
+                available
+            }
+        }, { idempotent: true });
+        return response.data.inventory_level;
+    }
+}
+
+module.exports = InventorySync;
@@ -0,0 +1,303 @@
+const fs = require('fs');
+const logger = require('./logger');
+
+// Per-market prices pushed to Shopify Markets price lists as fixed variant
+// prices, from MARKET_PRICING_FILE (default config/market-pricing.json):
+//   {
+//     "markets": {
+//       "Canada": {
+//         "priceList": "Canada CAD",
+//         "currency": "CAD",
+//         "exchangeRate": 1.37,
+//         "rules": [
+//           { "name": "gold", "match": { "productLine": ["Core Gold"] }, "adjustPercent": 5 },
+//           { "name": "default", "rounding": ".99" }
+//         ],
+//         "fixed": { "012R-16": { "price": 249.99, "compareAtPrice": 299.99 } }
+//       }
+//     }
+//   }
+// A SKU listed under "fixed" gets exactly that price. Otherwise the first rule
+// whose match conditions hold (same conditions as the pricing rules) converts
+// the variant's store price, including a price kept by a field lock:
+// price * exchangeRate * (1 + adjustPercent / 100) + fixedAdder, then rounding
+// (default ".99"); the compare-at price is converted the same way. Feed
+// variants matching nothing have their fixed price removed so the price list's
+// own adjustment applies. priceList defaults to the market name. Without the
+// file the step is off; config/market-pricing.example.json shows the format.
+//
+// Current fixed prices are read from each price list first and only the
+// differences are sent. Market prices follow the store price at each full
+// sync, not the metal repricing in between.
+class MarketPricing {
+    constructor(shopifyClient, options = {}) {
+        this.client = shopifyClient;
+        this.rulesFile = options.rulesFile || process.env.MARKET_PRICING_FILE || './config/market-pricing.json';
+        this.config = options.config || this.loadRules();
+        this.enabled = Boolean(this.config);
+        this.priceLists = null;
+        this.pageSize = 250;
+    }
+
+    loadRules() {
+        if (!fs.existsSync(this.rulesFile)) {
+            logger.info(`No market pricing file (${this.rulesFile}), prices are set in the store currency only`);
+            return null;
+        }
+
+        const config = JSON.parse(fs.readFileSync(this.rulesFile, 'utf8'));
+        config.markets = config.markets || {};
+
+        Object.entries(config.markets).forEach(([name, market]) => {
+            if (!market.currency) {
+                throw new Error(`Market "${name}" in ${this.rulesFile} has no currency`);
+            }
+            if (!(market.exchangeRate > 0)) {
+                throw new Error(`Market "${name}" in ${this.rulesFile} needs a positive exchangeRate`);
+            }
+            market.rules = market.rules || [];
+            market.fixed = Object.fromEntries(Object.entries(market.fixed || {})
+                .map(([sku, prices]) => [sku.toLowerCase(), prices]));
+        });
+
+        logger.info(`Loaded market pricing for ${Object.keys(config.markets).length} markets from ${this.rulesFile}`);
+        return config;
+    }
+
+    // { price, compareAtPrice } as "0.00" strings for one market, or null
+    // when the SKU should have no fixed price there; variant carries the store
+    // price and compareAtPrice
+    calculate(market, csvItem, variant) {
+        const fixed = market.fixed[(csvItem.Item || '').toLowerCase()];
+        if (fixed) {
+            return {
+                rule: 'fixed',
+                price: Number(fixed.price).toFixed(2),
+                compareAtPrice: fixed.compareAtPrice ? Number(fixed.compareAtPrice).toFixed(2) : null
+            };
+        }
+
+        const pricingEngine = this.client.pricingEngine;
+        const cost = pricingEngine.parseAmount(csvItem.ContractPrice);
+        const rule = market.rules.find(r => pricingEngine.matches(r.match || {}, csvItem, cost));
+        if (!rule) {
+            return null;
+        }
+
+        const convert = amount => pricingEngine.roundUp(
+            amount * market.exchangeRate * (1 + (rule.adjustPercent || 0) / 100) + (rule.fixedAdder || 0),
+            rule.rounding || '.99'
+        );
+        const price = convert(parseFloat(variant.price));
+        const compareAtPrice = variant.compareAtPrice ? convert(parseFloat(variant.compareAtPrice)) : null;
+
+        return {
+            rule: rule.name || 'unnamed',
+            price: price.toFixed(2),
+            compareAtPrice: compareAtPrice && compareAtPrice > price ? compareAtPrice.toFixed(2) : null
+        };
+    }
+
+    // Map of market name -> { id, currency } for the price lists in the config
+    async resolvePriceLists() {
+        if (this.priceLists) {
+            return this.priceLists;
+        }
+
+        const data = await this.client.graphql(`
+            query {
+                priceLists(first: 50) {
+                    edges { node { id name currency } }
+                }
+            }`);
+
+        const byName = new Map(data.priceLists.edges.map(({ node }) => [node.name.toLowerCase(), node]));
+        this.priceLists = new Map();
+        Object.entries(this.config.markets).forEach(([name, market]) => {
+            const priceListName = market.priceList || name;
+            const priceList = byName.get(priceListName.toLowerCase());
+            if (!priceList) {
+                logger.warn(`Price list "${priceListName}" for market ${name} not found in the shop, market skipped`);
+            } else if (priceList.currency !== market.currency) {
+                logger.warn(`Price list "${priceListName}" is in ${priceList.currency}, not ${market.currency}; market ${name} skipped`);
+            } else {
+                this.priceLists.set(name, priceList);
+            }
+        });
+        return this.priceLists;
+    }
+
+    // csvRows are all feed rows that ended up in Shopify; products are the
+    // existing, updated and newly created products, used to resolve variant IDs
+    // and store prices
+    async syncMarketPrices(csvRows, products, options = {}) {
+        const { dryRun = false } = options;
+        const results = {
+            markets: {},
+            changed: 0,
+            missing: 0,
+            errors: 0,
+            errorDetails: []
+        };
+
+        const priceLists = await this.resolvePriceLists();
+        const variantsBySku = this.indexVariants(products);
+        const rows = csvRows.filter(csvItem => {
+            const found = csvItem.Item && variantsBySku.has(csvItem.Item.toLowerCase());
+            if (!found) results.missing++;
+            return found;
+        });
+
+        for (const [name, priceList] of priceLists) {
+            const market = this.config.markets[name];
+            const marketResults = { set: 0, removed: 0, unchanged: 0, byRule: {} };
+            results.markets[name] = marketResults;
+
+            try {
+                const current = await this.getFixedPrices(priceList.id);
+                const toSet = [];
+                const toRemove = [];
+
+                rows.forEach(csvItem => {
+                    const variant = variantsBySku.get(csvItem.Item.toLowerCase());
+                    const variantId = variant.id;
+                    const desired = this.calculate(market, csvItem, variant);
+                    const existing = current.get(variantId);
+
+                    if (!desired) {
+                        if (existing) toRemove.push({ sku: csvItem.Item, variantId });
+                        else marketResults.unchanged++;
+                        return;
+                    }
+
+                    marketResults.byRule[desired.rule] = (marketResults.byRule[desired.rule] || 0) + 1;
+                    if (existing && existing.price === desired.price && existing.compareAtPrice === desired.compareAtPrice) {
+                        marketResults.unchanged++;
+                        return;
+                    }
+                    toSet.push({ sku: csvItem.Item, variantId, ...desired, previous: existing ? existing.price : null });
+                });
+
+                if (dryRun) {
+                    toSet.forEach(entry => {
+                        logger.debug(`[DRY RUN] ${name} ${entry.sku}: ${entry.previous || '-'} -> ${entry.price} ${market.currency}`);
+                    });
+                    toRemove.forEach(entry => logger.debug(`[DRY RUN] ${name} ${entry.sku}: remove fixed price`));
+                    marketResults.set = toSet.length;
+                    marketResults.removed = toRemove.length;
+                } else {
+                    marketResults.set = await this.applyChunks(toSet, chunk => this.setFixedPrices(priceList.id, market.currency, chunk), name, results);
+                    marketResults.removed = await this.applyChunks(toRemove, chunk => this.removeFixedPrices(priceList.id, chunk), name, results);
+                }
+                results.changed += marketResults.set + marketResults.removed;
+                logger.info(`Market ${name}: ${marketResults.set} prices set, ${marketResults.removed} removed, ${marketResults.unchanged} unchanged`);
+            } catch (error) {
+                results.errors++;
+                results.errorDetails.push({ csvItem: name, error: error.message });
+                logger.error(`✗ Failed to sync prices for market ${name}:`, error.message);
+            }
+        }
+
+        logger.info(`Market prices: ${results.changed} changed across ${priceLists.size} price lists, ${results.missing} SKUs without a variant, ${results.errors} errors`);
+        return results;
+    }
+
+    // Runs apply() per chunk and returns how many entries went through; a
+    // failed chunk is recorded against each of its SKUs
+    async applyChunks(entries, apply, marketName, results) {
+        let applied = 0;
+        for (let i = 0; i < entries.length; i += this.pageSize) {
+            const chunk = entries.slice(i, i + this.pageSize);
+            try {
+                await apply(chunk);
+                applied += chunk.length;
+            } catch (error) {
+                results.errors += chunk.length;
+                chunk.forEach(entry => results.errorDetails.push({ csvItem: `${entry.sku} (${marketName})`, error: error.message }));
+                logger.error(`✗ Failed to update ${chunk.length} prices for market ${marketName}:`, error.message);
+            }
+        }
+        return applied;
+    }
+
+    // Map of lowercased SKU -> { id (variant GID), price, compareAtPrice }
+    indexVariants(products) {
+        const variantsBySku = new Map();
+        products.forEach(product => {
+            (product.variants || []).forEach(variant => {
+                if (variant.sku && variant.id) {
+                    variantsBySku.set(variant.sku.toLowerCase(), {
+                        id: `gid://shopify/ProductVariant/${variant.id}`,
+                        price: variant.price,
+                        compareAtPrice: variant.compare_at_price || null
+                    });
+                }
+            });
+        });
+        return variantsBySku;
+    }
+
+    // Map of variant GID -> { price, compareAtPrice } for the list's fixed prices
+    async getFixedPrices(priceListId) {
+        const prices = new Map();
+        let after = null;
+
+        do {
+            const data = await this.client.graphql(`
+                query FixedPrices($id: ID!, $first: Int!, $after: String) {
+                    priceList(id: $id) {
+                        prices(first: $first, after: $after, originType: FIXED) {
+                            edges { node { variant { id } price { amount } compareAtPrice { amount } } }
+                            pageInfo { hasNextPage endCursor }
+                        }
+                    }
+                }`, { id: priceListId, first: this.pageSize, after });
+
+            const connection = data.priceList.prices;
+            connection.edges.forEach(({ node }) => {
+                prices.set(node.variant.id, {
+                    price: Number(node.price.amount).toFixed(2),
+                    compareAtPrice: node.compareAtPrice ? Number(node.compareAtPrice.amount).toFixed(2) : null
+                });
+            });
+            after = connection.pageInfo.hasNextPage ? connection.pageInfo.endCursor : null;
+        } while (after);
+
+        return prices;
+    }
+
+    async setFixedPrices(priceListId, currency, entries) {
+        const data = await this.client.graphql(`
+            mutation SetFixedPrices($priceListId: ID!, $prices: [PriceListPriceInput!]!) {
+                priceListFixedPricesAdd(priceListId: $priceListId, prices: $prices) {
+                    userErrors { field message }
+                }
+            }`, {
+            priceListId,
+            prices: entries.map(entry => ({
+                variantId: entry.variantId,
+                price: { amount: entry.price, currencyCode: currency },
+                compareAtPrice: entry.compareAtPrice ? { amount: entry.compareAtPrice, currencyCode: currency } : null
+            }))
+        });
+        this.throwUserErrors(data.priceListFixedPricesAdd.userErrors);
+    }
+
+    async removeFixedPrices(priceListId, entries) {
+        const data = await this.client.graphql(`
+            mutation RemoveFixedPrices($priceListId: ID!, $variantIds: [ID!]!) {
+                priceListFixedPricesDelete(priceListId: $priceListId, variantIds: $variantIds) {
+                    userErrors { field message }
+                }
+            }`, { priceListId, variantIds: entries.map(entry => entry.variantId) });
+        this.throwUserErrors(data.priceListFixedPricesDelete.userErrors);
+    }
+
+    throwUserErrors(userErrors) {
+        if (userErrors && userErrors.length > 0) {
+            throw new Error(userErrors.map(e => e.message).join('; '));
+        }
+    }
+}
+
+module.exports = MarketPricing;
@@ -0,0 +1,54 @@
+// Product metafields written by the sync. ensureDefinitions() creates a
+// definition for each so they show in the admin, are readable from the
+// storefront and can back Search & Discovery filters.
+module.exports = [
+    {
+        namespace: 'custom',
+        key: 'item_number',
+        name: 'Item number',
+        type: 'single_line_text_field',
+        description: 'QGold item number (SKU) of the product'
+    },
+    {
+        namespace: 'custom',
+        key: 'specifications',
+        name: 'Specifications',
+        type: 'multi_line_text_field',
+        description: 'Raw ListOfSpecs from the QGold feed'
+    },
+    {
+        namespace: 'custom',
+        key: 'metal_description',
+        name: 'Metal',
+        type: 'single_line_text_field',
+        description: 'Metal description from the QGold feed'
+    },
+    {
+        namespace: 'custom',
+        key: 'country_of_origin',
+        name: 'Country of origin',
+        type: 'single_line_text_field',
+        description: 'Country of origin from the QGold feed'
+    },
+    {
+        namespace: 'sync',
+        key: 'source',
+        name: 'Sync source',
+        type: 'single_line_text_field',
+        description: 'Feed that manages the product; products without it are never touched by the sync'
+    },
+    {
+        namespace: 'sync',
+        key: 'feed_item',
+        name: 'Feed item',
+        type: 'single_line_text_field',
+        description: 'Feed item number the product was created or adopted from'
+    },
+    {
+        namespace: 'sync',
+        key: 'locked_fields',
+        name: 'Locked fields',
+        type: 'single_line_text_field',
+        description: 'Comma-separated fields the sync must not overwrite, e.g. "title, description" or "all"'
+    }
+];
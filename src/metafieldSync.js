@@ -0,0 +1,148 @@
+const logger = require('./logger');
+const metafieldDefinitions = require('./metafieldDefinitions');
+
+// metafieldsSet accepts at most 25 metafields per call
+const METAFIELDS_PER_CALL = 25;
+
+class MetafieldSync {
+    constructor(shopifyClient, definitions = metafieldDefinitions) {
+        this.client = shopifyClient;
+        this.definitions = definitions;
+    }
+
+    // Metafields from the feed whose value differs from (or is missing on) the
+    // product. For products fetched without metafields (REST paging fallback)
+    // the current values are unknown, so nothing is diffed; they are written
+    // when the product is next fetched through the bulk export.
+    diffMetafields(desired = [], existing) {
+        if (!existing) {
+            return [];
+        }
+
+        const existingByKey = new Map(existing.map(m => [`${m.namespace}.${m.key}`, m]));
+        return desired.filter(metafield => {
+            const current = existingByKey.get(`${metafield.namespace}.${metafield.key}`);
+            return !current || current.type !== metafield.type || !this.valuesEqual(current.value, metafield.value);
+        });
+    }
+
+    // JSON values (json, dimension...) come back from Shopify reformatted,
+    // e.g. 16 as 16.0, so compare them parsed
+    valuesEqual(current, desired) {
+        if (String(current) === String(desired)) {
+            return true;
+        }
+        try {
+            return JSON.stringify(JSON.parse(current)) === JSON.stringify(JSON.parse(desired));
+        } catch (error) {
+            return false;
+        }
+    }
+
+    async setMetafields(productId, metafields) {
+        const ownerId = `gid://shopify/Product/${productId}`;
+
+        for (let i = 0; i < metafields.length; i += METAFIELDS_PER_CALL) {
+            const chunk = metafields.slice(i, i + METAFIELDS_PER_CALL).map(metafield => ({
+                ownerId,
+                namespace: metafield.namespace,
+                key: metafield.key,
+                type: metafield.type,
+                value: String(metafield.value)
+            }));
+
+            const data = await this.client.graphql(`
+                mutation SetMetafields($metafields: [MetafieldsSetInput!]!) {
+                    metafieldsSet(metafields: $metafields) {
+                        metafields { key namespace }
+                        userErrors { field message }
+                    }
+                }`, { metafields: chunk });
+
+            const { userErrors } = data.metafieldsSet;
+            if (userErrors && userErrors.length > 0) {
+                throw new Error(`Metafield update failed: ${userErrors.map(e => e.message).join('; ')}`);
+            }
+        }
+    }
+
+    // Create any product metafield definitions that don't exist yet
+    async ensureDefinitions(options = {}) {
+        const { dryRun = false } = options;
+        const results = { created: [], existing: [], errors: [] };
+
+        const existing = await this.getExistingDefinitions();
+
+        for (const definition of this.definitions) {
+            const id = `${definition.namespace}.${definition.key}`;
+            if (existing.has(id)) {
+                results.existing.push(id);
+                continue;
+            }
+
+            if (dryRun) {
+                logger.info(`[DRY RUN] Would create metafield definition: ${id} (${definition.type})`);
+                results.created.push(id);
+                continue;
+            }
+
+            try {
+                const data = await this.client.graphql(`
+                    mutation CreateDefinition($definition: MetafieldDefinitionInput!) {
+                        metafieldDefinitionCreate(definition: $definition) {
+                            createdDefinition { id }
+                            userErrors { field message code }
+                        }
+                    }`, {
+                    definition: {
+                        name: definition.name,
+                        namespace: definition.namespace,
+                        key: definition.key,
+                        type: definition.type,
+                        description: definition.description,
+                        ownerType: 'PRODUCT',
+                        access: { storefront: 'PUBLIC_READ' }
+                    }
+                });
+
+                const { userErrors } = data.metafieldDefinitionCreate;
+                if (userErrors && userErrors.length > 0) {
+                    throw new Error(userErrors.map(e => e.message).join('; '));
+                }
+
+                logger.info(`✓ Created metafield definition: ${id} (${definition.type})`);
+                results.created.push(id);
+            } catch (error) {
+                logger.error(`✗ Failed to create metafield definition ${id}:`, error.message);
+                results.errors.push({ definition: id, error: error.message });
+            }
+        }
+
+        logger.info(`Metafield definitions: ${results.created.length} created, ${results.existing.length} already present, ${results.errors.length} errors`);
+        return results;
+    }
+
+    // Set of "namespace.key" for existing product metafield definitions
+    async getExistingDefinitions() {
+        const existing = new Set();
+        let cursor = null;
+
+        do {
+            const data = await this.client.graphql(`
+                query Definitions($cursor: String) {
+                    metafieldDefinitions(ownerType: PRODUCT, first: 250, after: $cursor) {
+                        edges { node { namespace key } }
+                        pageInfo { hasNextPage endCursor }
+                    }
+                }`, { cursor });
+
+            const connection = data.metafieldDefinitions;
+            connection.edges.forEach(({ node }) => existing.add(`${node.namespace}.${node.key}`));
+            cursor = connection.pageInfo.hasNextPage ? connection.pageInfo.endCursor : null;
+        } while (cursor);
+
+        return existing;
+    }
+}
+
+module.exports = MetafieldSync;
@@ -0,0 +1,211 @@
+const logger = require('./logger');
+const StateStore = require('./stateStore');
+const RunHistory = require('./runHistory');
+
+const GRAMS_PER_TROY_OUNCE = 31.1035;
+
+// Feed columns kept in the price basis so repricing can run without the feed
+const BASIS_COLUMNS = ['Item', 'ContractPrice', 'MSRP', 'Metal_Price', 'Weight', 'Metal_Desc', 'ProductLine', 'Categories'];
+
+// Reprices gold items between full syncs. Every full sync records a price
+// basis: the feed row's cost, the Metal_Price (gold spot per troy ounce) it was
+// costed at, and the variant's live price. Given a new spot price, the gold
+// content (Weight in grams x karat purity) is revalued, cost and MSRP are moved
+// by the difference, the pricing rules are re-run, and only prices moving by
+// at least REPRICE_THRESHOLD_PERCENT are pushed. Each repricing is a run in
+// the run history, so --rollback <runId> restores the previous prices.
+class MetalRepricer {
+    constructor(shopifyClient, options = {}) {
+        this.client = shopifyClient;
+        this.store = options.store || new StateStore('price_basis', { stateDir: options.stateDir });
+        this.thresholdPercent = options.thresholdPercent !== undefined
+            ? options.thresholdPercent
+            : parseFloat(process.env.REPRICE_THRESHOLD_PERCENT || 1);
+    }
+
+    // Called after a full sync with every feed row and the products holding
+    // them. Products with a price lock are left out, so repricing doesn't
+    // overwrite the price a merchandiser set.
+    recordBasis(csvRows, products) {
+        const variantsBySku = new Map();
+        const lockedSkus = new Set();
+        products.forEach(product => {
+            const locks = this.client.fieldLocks.getLocks(product);
+            const priceLocked = locks.has('price') || locks.has('all');
+            (product.variants || []).forEach(variant => {
+                if (variant.sku && priceLocked) {
+                    lockedSkus.add(variant.sku.toLowerCase());
+                }
+                if (variant.sku) {
+                    variantsBySku.set(variant.sku.toLowerCase(), { productId: product.id, variantId: variant.id });
+                }
+            });
+        });
+
+        const items = {};
+        csvRows.forEach(csvItem => {
+            const ids = csvItem.Item && variantsBySku.get(csvItem.Item.toLowerCase());
+            if (!ids || lockedSkus.has(csvItem.Item.toLowerCase())) return;
+
+            const pricing = this.client.pricingEngine.calculate(csvItem);
+            items[csvItem.Item] = {
+                ...ids,
+                csv: BASIS_COLUMNS.reduce((row, column) => {
+                    if (csvItem[column] !== undefined) row[column] = csvItem[column];
+                    return row;
+                }, {}),
+                price: pricing.price,
+                compareAtPrice: pricing.compareAtPrice
+            };
+        });
+
+        this.store.save({ recordedAt: new Date().toISOString(), items });
+        logger.info(`Recorded price basis for ${Object.keys(items).length} SKUs${lockedSkus.size > 0 ? ` (${lockedSkus.size} price-locked SKUs left out)` : ''}`);
+    }
+
+    async reprice(spotPrice, options = {}) {
+        const { dryRun = false } = options;
+        const basis = this.store.load(null);
+        if (!basis) {
+            throw new Error('No price basis recorded yet. Run a full sync first.');
+        }
+
+        logger.info(`Repricing against gold spot ${spotPrice} (basis recorded ${basis.recordedAt}, threshold ${this.thresholdPercent}%)`);
+
+        const runId = dryRun ? null : RunHistory.createRunId('reprice');
+        if (runId) {
+            this.client.runHistory.start(runId, { store: this.client.store.name, spotPrice });
+        }
+
+        const results = {
+            runId,
+            spotPrice,
+            basisRecordedAt: basis.recordedAt,
+            checked: 0,
+            repriced: 0,
+            belowThreshold: 0,
+            notMetalWeighted: 0,
+            errors: 0,
+            changes: [],
+            errorDetails: []
+        };
+
+        for (const [sku, item] of Object.entries(basis.items)) {
+            const adjusted = this.adjustForSpot(item.csv, spotPrice);
+            if (!adjusted) {
+                results.notMetalWeighted++;
+                continue;
+            }
+
+            results.checked++;
+            const pricing = this.client.pricingEngine.calculate(adjusted);
+            const current = parseFloat(item.price);
+            const changePercent = current > 0 ? ((parseFloat(pricing.price) - current) / current) * 100 : 100;
+
+            if (Math.abs(changePercent) < this.thresholdPercent) {
+                results.belowThreshold++;
+                continue;
+            }
+
+            const change = {
+                sku,
+                variantId: item.variantId,
+                from: item.price,
+                to: pricing.price,
+                compareAtPrice: pricing.compareAtPrice,
+                changePercent: parseFloat(changePercent.toFixed(2)),
+                rule: pricing.rule
+            };
+
+            try {
+                if (dryRun) {
+                    logger.debug(`[DRY RUN] Would reprice ${sku}: ${item.price} -> ${pricing.price}`);
+                } else {
+                    this.client.runHistory.recordVariant({ id: item.productId, title: sku }, item.variantId, {
+                        price: item.price,
+                        compare_at_price: item.compareAtPrice
+                    });
+                    await this.client.updateVariant(item.variantId, {
+                        price: pricing.price,
+                        compare_at_price: pricing.compareAtPrice
+                    });
+                    item.price = pricing.price;
+                    item.compareAtPrice = pricing.compareAtPrice;
+                    logger.debug(`✓ Repriced ${sku}: ${change.from} -> ${change.to} (${change.changePercent}%)`);
+                }
+                results.repriced++;
+                results.changes.push(change);
+            } catch (error) {
+                results.errors++;
+                results.errorDetails.push({ csvItem: sku, error: error.message });
+                logger.error(`✗ Failed to reprice ${sku}:`, error.message);
+            }
+        }
+
+        if (!dryRun) {
+            // Keep the live prices current; the spot basis only moves on a full sync
+            this.store.save(basis);
+            this.client.runHistory.finish({ repriced: results.repriced, errors: results.errors });
+        }
+
+        logger.info(`Repricing: ${results.checked} metal-weighted SKUs checked, ${results.repriced} repriced, ${results.belowThreshold} below threshold, ${results.errors} errors`);
+        return results;
+    }
+
+    // Put back the live prices of a rolled-back repricing run; updated is the
+    // run's RunHistory entries
+    restoreBasis(updated) {
+        const basis = this.store.load(null);
+        if (!basis) {
+            return;
+        }
+
+        const prices = new Map();
+        Object.values(updated).forEach(entry => {
+            Object.entries(entry.variants).forEach(([variantId, fields]) => prices.set(variantId, fields));
+        });
+        Object.values(basis.items).forEach(item => {
+            const fields = prices.get(String(item.variantId));
+            if (fields) {
+                item.price = fields.price;
+                item.compareAtPrice = fields.compare_at_price;
+            }
+        });
+        this.store.save(basis);
+    }
+
+    // Feed row with cost and MSRP moved to the new spot, or null for items
+    // without a gold basis, weight or karat
+    adjustForSpot(csvItem, spotPrice) {
+        const basisSpot = parseFloat(csvItem.Metal_Price);
+        const weight = parseFloat(csvItem.Weight);
+        const purity = this.getPurity(csvItem.Metal_Desc);
+        const cost = parseFloat(csvItem.ContractPrice);
+
+        if (!basisSpot || !weight || !purity || !cost) {
+            return null;
+        }
+
+        const delta = (weight * purity * (spotPrice - basisSpot)) / GRAMS_PER_TROY_OUNCE;
+        const adjustedCost = Math.max(0, cost + delta);
+        const adjusted = { ...csvItem, ContractPrice: adjustedCost.toFixed(2) };
+
+        const msrp = parseFloat(csvItem.MSRP);
+        if (msrp) {
+            adjusted.MSRP = (msrp * (adjustedCost / cost)).toFixed(2);
+        }
+        return adjusted;
+    }
+
+    // Gold fineness from "14k Rose Gold", "10K Yellow Gold", ...
+    getPurity(metalDesc) {
+        const match = (metalDesc || '').match(/(\d{1,2})\s*k(?:t|arat)?\b/i);
+        if (!match || !/gold/i.test(metalDesc)) {
+            return null;
+        }
+        const karat = parseInt(match[1]);
+        return karat > 0 && karat <= 24 ? karat / 24 : null;
+    }
+}
+
+module.exports = MetalRepricer;
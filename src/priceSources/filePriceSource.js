@@ -0,0 +1,29 @@
+const fs = require('fs');
+const path = require('path');
+
+// Reads the spot price from a local file, either a bare number or JSON like
+// { "gold": 2412.50, "asOf": "2025-07-21T14:00:00Z" }
+class FilePriceSource {
+    constructor(options = {}) {
+        this.filePath = options.filePath || process.env.METAL_PRICE_FILE
+            || path.join(process.env.STATE_DIR || './state', 'metal-price.json');
+        this.metal = options.metal || 'gold';
+    }
+
+    async getSpotPrice() {
+        if (!fs.existsSync(this.filePath)) {
+            throw new Error(`Metal price file not found: ${this.filePath}`);
+        }
+
+        const content = fs.readFileSync(this.filePath, 'utf8').trim();
+        const value = /^[\d.]+$/.test(content) ? parseFloat(content) : JSON.parse(content)[this.metal];
+        const price = parseFloat(value);
+
+        if (isNaN(price) || price <= 0) {
+            throw new Error(`No valid ${this.metal} price in ${this.filePath}`);
+        }
+        return price;
+    }
+}
+
+module.exports = FilePriceSource;
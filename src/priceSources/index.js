@@ -0,0 +1,15 @@
+const path = require('path');
+const FilePriceSource = require('./filePriceSource');
+
+const BUILT_IN_SOURCES = {
+    file: FilePriceSource
+};
+
+// METAL_PRICE_SOURCE is either a built-in source name or the path to a module
+// exporting a class with an async getSpotPrice() method
+function createPriceSource(name = process.env.METAL_PRICE_SOURCE || 'file', options = {}) {
+    const PriceSource = BUILT_IN_SOURCES[name] || require(path.resolve(name));
+    return new PriceSource(options);
+}
+
+module.exports = { createPriceSource };
@@ -0,0 +1,177 @@
+const fs = require('fs');
+const logger = require('./logger');
+const { hasCategoryPrefix } = require('./categoryPaths');
+
+// Computes retail and compare-at prices from the QGold ContractPrice (our
+// cost) using the rules in PRICING_RULES_FILE (default
+// config/pricing-rules.json). The first rule whose match conditions all hold
+// wins; conditions are:
+//   productLine  ProductLine equals one of the values
+//   category     one of the Categories paths is or lies below one of the values
+//   metal        Metal_Desc contains one of the values
+//   cost         ContractPrice within { min, max }
+// Each rule may set markupPercent, fixedAdder, rounding (".99", ".95" or
+// "none"), minMarginPercent, capAtMsrp and compareAt ("msrp" or "none");
+// missing settings come from "defaults". Rows matching no rule keep the old
+// MSRP-or-cost price under the "fallback" rule name.
+class PricingEngine {
+    constructor(options = {}) {
+        this.rulesFile = options.rulesFile || process.env.PRICING_RULES_FILE || './config/pricing-rules.json';
+        this.config = options.config || this.loadRules();
+        this.resetAudit();
+    }
+
+    loadRules() {
+        if (!fs.existsSync(this.rulesFile)) {
+            logger.warn(`Pricing rules file not found: ${this.rulesFile}, using MSRP/cost prices`);
+            return { defaults: {}, rules: [] };
+        }
+
+        const config = JSON.parse(fs.readFileSync(this.rulesFile, 'utf8'));
+        config.defaults = config.defaults || {};
+        config.rules = config.rules || [];
+
+        config.rules.forEach((rule, index) => {
+            if (!rule.name) {
+                throw new Error(`Pricing rule #${index + 1} in ${this.rulesFile} has no name`);
+            }
+        });
+
+        logger.info(`Loaded ${config.rules.length} pricing rules from ${this.rulesFile}`);
+        return config;
+    }
+
+    // Per-SKU record of the rule that priced it, cleared at the start of each run
+    resetAudit() {
+        this.audit = new Map();
+    }
+
+    getAuditSummary() {
+        const byRule = {};
+        const skus = {};
+        this.audit.forEach((decision, sku) => {
+            byRule[decision.rule] = (byRule[decision.rule] || 0) + 1;
+            skus[sku] = decision;
+        });
+        return { byRule, skus };
+    }
+
+    // Returns { price, compareAtPrice, rule, cost } with prices as "0.00" strings
+    calculate(csvItem) {
+        const cost = this.parseAmount(csvItem.ContractPrice);
+        const msrp = this.parseAmount(csvItem.MSRP);
+        const rule = this.findRule(csvItem, cost);
+
+        let decision;
+        if (!rule || !cost) {
+            const price = msrp || cost || 0;
+            decision = {
+                rule: 'fallback',
+                cost,
+                price: price.toFixed(2),
+                compareAtPrice: msrp ? msrp.toFixed(2) : null
+            };
+        } else {
+            decision = this.applyRule({ ...this.config.defaults, ...rule }, cost, msrp);
+        }
+
+        if (csvItem.Item) {
+            this.audit.set(csvItem.Item, decision);
+        }
+        return decision;
+    }
+
+    findRule(csvItem, cost) {
+        return this.config.rules.find(rule => this.matches(rule.match || {}, csvItem, cost)) || null;
+    }
+
+    matches(match, csvItem, cost) {
+        const lower = value => String(value).toLowerCase();
+        const list = value => (Array.isArray(value) ? value : [value]).map(lower);
+
+        if (match.productLine && !list(match.productLine).includes(lower(csvItem.ProductLine || ''))) {
+            return false;
+        }
+
+        if (match.category && !hasCategoryPrefix(csvItem.Categories, match.category)) {
+            return false;
+        }
+
+        if (match.metal) {
+            const metal = lower(csvItem.Metal_Desc || '');
+            if (!list(match.metal).some(value => metal.includes(value))) {
+                return false;
+            }
+        }
+
+        if (match.cost) {
+            if (match.cost.min !== undefined && cost < match.cost.min) return false;
+            if (match.cost.max !== undefined && cost > match.cost.max) return false;
+        }
+
+        return true;
+    }
+
+    applyRule(rule, cost, msrp) {
+        let price = cost * (1 + (rule.markupPercent || 0) / 100) + (rule.fixedAdder || 0);
+
+        const capped = rule.capAtMsrp && msrp && price > msrp;
+        if (capped) {
+            price = msrp;
+        }
+
+        price = capped ? this.roundDown(price, rule.rounding) : this.roundUp(price, rule.rounding);
+
+        // The margin floor wins over the MSRP cap
+        if (rule.minMarginPercent) {
+            const floor = cost / (1 - rule.minMarginPercent / 100);
+            if (price < floor) {
+                price = this.roundUp(floor, rule.rounding);
+            }
+        }
+
+        const compareAtPrice = rule.compareAt === 'msrp' && msrp && msrp > price
+            ? msrp.toFixed(2)
+            : null;
+
+        return {
+            rule: rule.name,
+            cost,
+            price: price.toFixed(2),
+            compareAtPrice
+        };
+    }
+
+    // Smallest price >= amount ending in the rounding cents (123.40 -> 123.99)
+    roundUp(amount, rounding) {
+        const ending = this.getEnding(rounding);
+        if (ending === null) {
+            return Math.ceil(amount * 100) / 100;
+        }
+        return Math.ceil(amount - ending) + ending;
+    }
+
+    // Largest price <= amount ending in the rounding cents, used under the MSRP cap
+    roundDown(amount, rounding) {
+        const ending = this.getEnding(rounding);
+        if (ending === null) {
+            return Math.floor(amount * 100) / 100;
+        }
+        return Math.max(ending, Math.floor(amount - ending) + ending);
+    }
+
+    getEnding(rounding) {
+        if (!rounding || rounding === 'none') {
+            return null;
+        }
+        return parseFloat(rounding);
+    }
+
+    parseAmount(value) {
+        if (!value) return 0;
+        const amount = parseFloat(value.toString().replace(/[^\d.-]/g, ''));
+        return isNaN(amount) ? 0 : amount;
+    }
+}
+
+module.exports = PricingEngine;
@@ -0,0 +1,124 @@
+const fs = require('fs');
+const path = require('path');
+const StateStore = require('./stateStore');
+
+// SKUs of products deleted in Shopify, so the sync doesn't recreate what a
+// merchandiser removed. products/delete webhooks only carry the product ID,
+// so the SKUs of every product seen (by the sync, or by products/create and
+// products/update webhooks) are kept in an index:
+//   deleted_products.json   { "products": { "<id>": { "title": "...", "skus": ["012R-16"] } } }
+//   blocked_skus.jsonl      one line per SKU blocked or unblocked:
+//                           { "block": { "sku": "012R-16", "productId": 1, "title": "...", "deletedAt": "..." } }
+//                           { "unblock": "012r-16" }
+// The webhook receiver and the sync run in different processes. Blocks and
+// unblocks are appended, so one can't overwrite another; the index is
+// rewritten, but an entry lost to a concurrent write is put back by the next
+// sync or products/update webhook.
+class ProductBlocklist {
+    constructor(options = {}) {
+        this.store = options.store || new StateStore('deleted_products', { stateDir: options.stateDir });
+        this.blockedPath = path.join(this.store.stateDir, 'blocked_skus.jsonl');
+    }
+
+    load() {
+        return this.store.load({ products: {} });
+    }
+
+    update(change) {
+        const state = this.load();
+        const result = change(state);
+        this.store.save(state);
+        return result;
+    }
+
+    // Map of lowercased SKU -> block entry. Blocks from before the journal
+    // existed are still read from the state file.
+    loadBlocked() {
+        const blocked = new Map(Object.entries(this.load().blocked || {}));
+        const lines = fs.existsSync(this.blockedPath) ? fs.readFileSync(this.blockedPath, 'utf8').split('\n') : [];
+        lines.forEach(line => {
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                // Empty line, or a line cut off by a crash
+                return;
+            }
+            if (entry.block) blocked.set(entry.block.sku.toLowerCase(), entry.block);
+            if (entry.unblock) blocked.delete(entry.unblock);
+        });
+        return blocked;
+    }
+
+    appendBlocked(entries) {
+        if (entries.length === 0) {
+            return;
+        }
+        fs.mkdirSync(this.store.stateDir, { recursive: true });
+        fs.appendFileSync(this.blockedPath, entries.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+    }
+
+    // Record the SKUs of products fetched or created by a run; products
+    // deleted since are dropped from the index
+    indexProducts(products) {
+        const deletedIds = new Set([...this.loadBlocked().values()].map(entry => String(entry.productId)));
+        this.update(state => {
+            products.forEach(product => this.setProduct(state, product));
+            Object.keys(state.products).filter(id => deletedIds.has(id)).forEach(id => delete state.products[id]);
+        });
+    }
+
+    // products/create and products/update webhook payloads
+    recordProduct(product) {
+        this.update(state => this.setProduct(state, product));
+    }
+
+    setProduct(state, product) {
+        const skus = (product.variants || []).map(variant => variant.sku).filter(Boolean);
+        if (product.id && skus.length > 0) {
+            state.products[product.id] = { title: product.title, skus };
+        }
+    }
+
+    // products/delete webhook; returns the SKUs now blocked
+    recordDelete(productId) {
+        const product = this.load().products[productId];
+        if (!product) {
+            return [];
+        }
+
+        const deletedAt = new Date().toISOString();
+        this.appendBlocked(product.skus.map(sku => ({
+            block: { sku, productId: Number(productId), title: product.title, deletedAt }
+        })));
+        return product.skus;
+    }
+
+    // Drop a product from the index before the sync deletes it itself (run
+    // rollback), so its products/delete webhook doesn't block its SKUs
+    forgetProduct(productId) {
+        this.update(state => {
+            delete state.products[productId];
+        });
+    }
+
+    // Set of lowercased blocked SKUs, read once per run
+    getBlockedSkus() {
+        return new Set(this.loadBlocked().keys());
+    }
+
+    list() {
+        return [...this.loadBlocked().values()];
+    }
+
+    // Unblock by SKU, deleted product ID, or "all"; returns the entries removed
+    unblock(selector) {
+        const wanted = String(selector).toLowerCase();
+        const removed = [...this.loadBlocked()].filter(([key, entry]) =>
+            wanted === 'all' || key === wanted || String(entry.productId) === wanted);
+        this.appendBlocked(removed.map(([key]) => ({ unblock: key })));
+        return removed.map(([, entry]) => entry);
+    }
+}
+
+module.exports = ProductBlocklist;
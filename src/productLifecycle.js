@@ -0,0 +1,109 @@
+const logger = require('./logger');
+const StateStore = require('./stateStore');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Handles sync-owned products that drop out of the feed or stop being Active:
+// after DISCONTINUE_DRAFT_DAYS they are set to draft, after
+// DISCONTINUE_ARCHIVE_DAYS archived, and when they come back Active they are
+// reactivated. Only products this lifecycle moved are reactivated, so
+// products a merchandiser drafted by hand stay drafted.
+class ProductLifecycle {
+    constructor(shopifyClient, options = {}) {
+        this.client = shopifyClient;
+        this.store = options.store || new StateStore('product_lifecycle', { stateDir: options.stateDir });
+        this.draftAfterDays = options.draftAfterDays !== undefined
+            ? options.draftAfterDays
+            : parseFloat(process.env.DISCONTINUE_DRAFT_DAYS || 3);
+        this.archiveAfterDays = options.archiveAfterDays !== undefined
+            ? options.archiveAfterDays
+            : parseFloat(process.env.DISCONTINUE_ARCHIVE_DAYS || 30);
+    }
+
+    // Products carrying the sync's ownership marker (see productOwnership.js)
+    isOwned(product) {
+        return this.client.ownership.isOwned(product);
+    }
+
+    // activeProductIds: Shopify products matched to a feed row whose Status is Active
+    async applyLifecycle(existingProducts, activeProductIds, options = {}) {
+        const { dryRun = false } = options;
+        const now = Date.now();
+        const state = this.store.load({ products: {} });
+        const results = {
+            tracked: 0,
+            drafted: [],
+            archived: [],
+            reactivated: [],
+            errors: []
+        };
+
+        for (const product of existingProducts) {
+            if (!this.isOwned(product)) continue;
+
+            let record = state.products[product.id];
+            const entry = {
+                id: product.id,
+                title: product.title,
+                skus: (product.variants || []).map(v => v.sku).filter(Boolean)
+            };
+
+            if (activeProductIds.has(product.id)) {
+                if (record) {
+                    if (record.action && product.status !== 'active') {
+                        await this.transition(product, 'active', { ...entry, previousStatus: product.status }, results.reactivated, results, dryRun);
+                    }
+                    delete state.products[product.id];
+                }
+                continue;
+            }
+
+            if (!record) {
+                record = { missingSince: new Date(now).toISOString(), action: null, skus: entry.skus };
+                state.products[product.id] = record;
+                logger.debug(`Product missing from feed or inactive: ${product.title} (ID: ${product.id})`);
+            }
+
+            const daysMissing = (now - new Date(record.missingSince).getTime()) / DAY_MS;
+            const details = { ...entry, missingSince: record.missingSince, daysMissing: Math.floor(daysMissing) };
+
+            if (daysMissing >= this.archiveAfterDays && product.status !== 'archived') {
+                if (await this.transition(product, 'archived', details, results.archived, results, dryRun)) {
+                    record.action = 'archived';
+                }
+            } else if (daysMissing >= this.draftAfterDays && product.status === 'active') {
+                if (await this.transition(product, 'draft', details, results.drafted, results, dryRun)) {
+                    record.action = 'drafted';
+                }
+            }
+        }
+
+        results.tracked = Object.keys(state.products).length;
+        if (!dryRun) {
+            this.store.save(state);
+        }
+
+        logger.info(`Lifecycle: ${results.tracked} products missing/inactive, ${results.drafted.length} drafted, ${results.archived.length} archived, ${results.reactivated.length} reactivated`);
+        return results;
+    }
+
+    async transition(product, status, details, bucket, results, dryRun) {
+        try {
+            if (dryRun) {
+                logger.debug(`[DRY RUN] Would set ${product.title} (ID: ${product.id}) to ${status}`);
+            } else {
+                this.client.runHistory.recordStatus(product, status);
+                await this.client.updateProduct(product.id, { id: product.id, status });
+                logger.info(`Lifecycle: ${product.title} (ID: ${product.id}) ${product.status} -> ${status}`);
+            }
+            bucket.push(details);
+            return true;
+        } catch (error) {
+            logger.error(`✗ Failed to set ${product.title} (ID: ${product.id}) to ${status}:`, error.message);
+            results.errors.push({ id: product.id, status, error: error.message });
+            return false;
+        }
+    }
+}
+
+module.exports = ProductLifecycle;
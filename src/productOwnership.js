@@ -0,0 +1,136 @@
+const logger = require('./logger');
+
+// Marks the products the sync manages so hand-made products are never
+// matched or overwritten. Products the sync creates (or adopts) carry the
+// SYNC_OWNER_TAG tag (default "sync:qgold") and the sync.source /
+// sync.feed_item metafields. The tag is what ownership is checked by, as the
+// REST paging fallback returns tags but not metafields.
+//
+// With SHOPIFY_MATCH_OWNED_ONLY (default on) only owned products are matched
+// to feed rows; a feed product whose SKU belongs to an unowned product is
+// neither created nor updated and shows up in the run results until the
+// product is adopted (--adopt).
+class ProductOwnership {
+    constructor(shopifyClient, options = {}) {
+        this.client = shopifyClient;
+        this.source = options.source || 'qgold';
+        this.tag = options.tag || process.env.SYNC_OWNER_TAG || `sync:${this.source}`;
+        this.ownedOnly = options.ownedOnly !== undefined
+            ? options.ownedOnly
+            : process.env.SHOPIFY_MATCH_OWNED_ONLY !== 'false';
+    }
+
+    isOwned(product) {
+        const tags = Array.isArray(product.tags)
+            ? product.tags
+            : String(product.tags || '').split(',').map(tag => tag.trim());
+        if (tags.some(tag => tag.toLowerCase() === this.tag.toLowerCase())) {
+            return true;
+        }
+        return (product.metafields || []).some(m => m.namespace === 'sync' && m.key === 'source' && m.value === this.source);
+    }
+
+    getMetafields(feedItem) {
+        const metafields = [{ namespace: 'sync', key: 'source', value: this.source, type: 'single_line_text_field' }];
+        if (feedItem) {
+            metafields.push({ namespace: 'sync', key: 'feed_item', value: feedItem, type: 'single_line_text_field' });
+        }
+        return metafields;
+    }
+
+    // Unowned products that feed products would match, for review before
+    // adoption. feedProducts: [{ title, rows }]. SKU matches are marked
+    // apply: true, title-only matches apply: false until a reviewer flips them.
+    buildAdoptionReport(feedProducts, products) {
+        const unowned = products.filter(product => !this.isOwned(product));
+        const bySku = new Map();
+        const byTitle = new Map();
+        unowned.forEach(product => {
+            byTitle.set((product.title || '').toLowerCase(), product);
+            (product.variants || []).forEach(variant => {
+                if (variant.sku) bySku.set(variant.sku.toLowerCase(), product);
+            });
+        });
+
+        const claimed = new Set();
+        const matches = [];
+        feedProducts.forEach(({ title, rows }) => {
+            const skus = rows.map(row => row.Item).filter(Boolean);
+            const matchedSkus = skus.filter(sku => bySku.has(sku.toLowerCase()));
+            let product = matchedSkus.length > 0 ? bySku.get(matchedSkus[0].toLowerCase()) : null;
+            const matchedBy = product ? 'sku' : 'title';
+            if (!product && title) {
+                product = byTitle.get(title.toLowerCase()) || null;
+            }
+            if (!product || claimed.has(product.id)) {
+                return;
+            }
+
+            claimed.add(product.id);
+            matches.push({
+                productId: product.id,
+                title: product.title,
+                handle: product.handle,
+                vendor: product.vendor,
+                status: product.status,
+                matchedBy,
+                matchedSkus,
+                feedItem: skus[0] || null,
+                feedTitle: title,
+                apply: matchedBy === 'sku'
+            });
+        });
+
+        return {
+            source: this.source,
+            tag: this.tag,
+            unownedProducts: unowned.length,
+            matches
+        };
+    }
+
+    // Stamp an existing product with the ownership marker
+    async claim(productId, feedItem) {
+        const data = await this.client.graphql(`
+            mutation Claim($id: ID!, $tags: [String!]!) {
+                tagsAdd(id: $id, tags: $tags) {
+                    userErrors { field message }
+                }
+            }`, { id: `gid://shopify/Product/${productId}`, tags: [this.tag] });
+
+        const { userErrors } = data.tagsAdd;
+        if (userErrors && userErrors.length > 0) {
+            throw new Error(userErrors.map(e => e.message).join('; '));
+        }
+        await this.client.metafieldSync.setMetafields(productId, this.getMetafields(feedItem));
+    }
+
+    // Claim the report entries marked apply: true
+    async adopt(report, options = {}) {
+        const { dryRun = false } = options;
+        const results = { adopted: [], skipped: 0, errors: [] };
+
+        for (const entry of report.matches) {
+            if (entry.apply !== true) {
+                results.skipped++;
+                continue;
+            }
+            try {
+                if (dryRun) {
+                    logger.info(`[DRY RUN] Would adopt ${entry.title} (ID: ${entry.productId}) as ${entry.feedItem}`);
+                } else {
+                    await this.claim(entry.productId, entry.feedItem);
+                    logger.info(`✓ Adopted ${entry.title} (ID: ${entry.productId}) as ${entry.feedItem}`);
+                }
+                results.adopted.push({ productId: entry.productId, feedItem: entry.feedItem });
+            } catch (error) {
+                results.errors.push({ productId: entry.productId, error: error.message });
+                logger.error(`✗ Failed to adopt ${entry.title} (ID: ${entry.productId}):`, error.message);
+            }
+        }
+
+        return results;
+    }
+}
+
+module.exports = ProductOwnership;
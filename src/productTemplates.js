@@ -0,0 +1,90 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const TemplateEngine = require('./templateEngine');
+
+// Template files making up a set. .html files escape {{values}}; .txt files
+// are plain text and have their whitespace collapsed after rendering.
+const TEMPLATE_FILES = {
+    title: 'title.txt',
+    description: 'description.html',
+    seoDescription: 'seo_description.txt'
+};
+
+// Product titles and copy rendered from the template sets in TEMPLATES_DIR
+// (default ./templates). Each set is a directory holding some of the files
+// above; templates.json picks the set for a product:
+//   { "sets": [{ "name": "core-gold", "match": { "productLine": ["Core Gold"] } },
+//              { "name": "rings", "match": { "productType": ["Rings"] } }] }
+// The first matching set is used and any file it lacks comes from "default",
+// which must contain all of them. Templates are parsed when loaded so syntax
+// errors stop the sync before anything is written.
+class ProductTemplates {
+    constructor(options = {}) {
+        this.templatesDir = options.templatesDir || process.env.TEMPLATES_DIR || './templates';
+        this.engine = new TemplateEngine();
+        this.load();
+    }
+
+    load() {
+        const configFile = path.join(this.templatesDir, 'templates.json');
+        const config = fs.existsSync(configFile)
+            ? JSON.parse(fs.readFileSync(configFile, 'utf8'))
+            : { sets: [] };
+
+        this.rules = config.sets || [];
+        this.sets = new Map();
+        ['default', ...this.rules.map(rule => rule.name)].forEach(name => {
+            this.sets.set(name, this.loadSet(name));
+        });
+
+        const missing = Object.keys(TEMPLATE_FILES).filter(key => !this.sets.get('default')[key]);
+        if (missing.length > 0) {
+            throw new Error(`Default template set in ${this.templatesDir} is missing ${missing.map(key => TEMPLATE_FILES[key]).join(', ')}`);
+        }
+
+        logger.info(`Loaded ${this.sets.size} product template sets from ${this.templatesDir}`);
+    }
+
+    loadSet(name) {
+        const setDir = path.join(this.templatesDir, name);
+        const set = {};
+
+        Object.entries(TEMPLATE_FILES).forEach(([key, fileName]) => {
+            const filePath = path.join(setDir, fileName);
+            if (!fs.existsSync(filePath)) return;
+
+            set[key] = this.engine.compile(fs.readFileSync(filePath, 'utf8'), {
+                escape: fileName.endsWith('.html'),
+                name: path.join(name, fileName)
+            });
+        });
+        return set;
+    }
+
+    // Name of the set used for a product, given { productLine, productType }
+    selectSet(attributes) {
+        const rule = this.rules.find(({ match = {} }) => Object.entries(match).every(([field, values]) =>
+            [].concat(values).some(value => String(value).toLowerCase() === String(attributes[field] || '').toLowerCase())
+        ));
+        return rule ? rule.name : 'default';
+    }
+
+    // { set, title, description, seoDescription } for a template context
+    render(context) {
+        const setName = this.selectSet({ productLine: context.ProductLine, productType: context.productType });
+        const set = this.sets.get(setName);
+        const fallback = this.sets.get('default');
+        const rendered = { set: setName };
+
+        Object.entries(TEMPLATE_FILES).forEach(([key, fileName]) => {
+            const output = (set[key] || fallback[key])(context);
+            rendered[key] = fileName.endsWith('.txt')
+                ? output.replace(/\s+/g, ' ').trim()
+                : output.trim();
+        });
+        return rendered;
+    }
+}
+
+module.exports = ProductTemplates;
@@ -0,0 +1,266 @@
+const fs = require('fs');
+const logger = require('./logger');
+const StateStore = require('./stateStore');
+const { hasCategoryPrefix } = require('./categoryPaths');
+
+// Decides which sales channels each product is published to, using
+// PUBLICATION_RULES_FILE (default config/publication-rules.json):
+//   {
+//     "holdNewProducts": false,
+//     "channels": {
+//       "Online Store": [{ "match": { "status": ["Active"] }, "publish": true }],
+//       "Google & YouTube": [{ "match": { "stock": { "min": 1 } }, "publish": true }]
+//     }
+//   }
+// Each channel's rules are tried in order and the first whose conditions all
+// hold decides; no match means unpublished. Conditions: status, productLine,
+// category (path prefix), price and stock ({ min, max }). Channels are found
+// by publication name; channels not listed in the file are left alone.
+//
+// The channels last applied to each product are kept in the "publications"
+// state file, so products are only published/unpublished when the decision
+// changes. With holdNewProducts, newly created products stay unpublished in
+// the pending list until approved (--approve).
+class PublicationSync {
+    constructor(shopifyClient, options = {}) {
+        this.client = shopifyClient;
+        this.rulesFile = options.rulesFile || process.env.PUBLICATION_RULES_FILE || './config/publication-rules.json';
+        this.config = options.config || this.loadRules();
+        this.enabled = Boolean(this.config);
+        this.store = options.store || new StateStore('publications', { stateDir: options.stateDir });
+        this.publications = null;
+    }
+
+    loadRules() {
+        if (!fs.existsSync(this.rulesFile)) {
+            logger.info(`No publication rules file (${this.rulesFile}), products are published by Status only`);
+            return null;
+        }
+
+        const config = JSON.parse(fs.readFileSync(this.rulesFile, 'utf8'));
+        config.channels = config.channels || {};
+        logger.info(`Loaded publication rules for ${Object.keys(config.channels).length} channels from ${this.rulesFile}`);
+        return config;
+    }
+
+    // Attributes the rules look at, for one feed product
+    getAttributes(rows, price) {
+        const primary = rows[0];
+        return {
+            status: primary.Status || '',
+            productLine: primary.ProductLine || '',
+            categories: (primary.Categories || '').split(';').map(p => p.trim()).filter(p => p),
+            price: parseFloat(price) || 0,
+            stock: rows.reduce((total, row) => total + (parseInt(row.Qty_Avail) || 0), 0)
+        };
+    }
+
+    // Sorted names of the channels a product should be on
+    getDesiredChannels(attributes) {
+        return Object.entries(this.config.channels)
+            .filter(([, rules]) => {
+                const rule = rules.find(({ match = {} }) => this.matches(match, attributes));
+                return rule ? rule.publish !== false : false;
+            })
+            .map(([channel]) => channel)
+            .sort();
+    }
+
+    matches(match, attributes) {
+        const lower = value => String(value).toLowerCase();
+        const list = value => (Array.isArray(value) ? value : [value]).map(lower);
+        const inRange = (value, range) =>
+            (range.min === undefined || value >= range.min) && (range.max === undefined || value <= range.max);
+
+        if (match.status && !list(match.status).includes(lower(attributes.status))) return false;
+        if (match.productLine && !list(match.productLine).includes(lower(attributes.productLine))) return false;
+        if (match.category && !hasCategoryPrefix(attributes.categories, match.category)) return false;
+        if (match.price && !inRange(attributes.price, match.price)) return false;
+        if (match.stock && !inRange(attributes.stock, match.stock)) return false;
+        return true;
+    }
+
+    // Map of channel name -> publication GID for the channels in the rules
+    async resolvePublications() {
+        if (this.publications) {
+            return this.publications;
+        }
+
+        const data = await this.client.graphql(`
+            query {
+                publications(first: 50) {
+                    edges { node { id name } }
+                }
+            }`);
+
+        const byName = new Map(data.publications.edges.map(({ node }) => [node.name.toLowerCase(), node.id]));
+        this.publications = new Map();
+        Object.keys(this.config.channels).forEach(channel => {
+            if (byName.has(channel.toLowerCase())) {
+                this.publications.set(channel, byName.get(channel.toLowerCase()));
+            } else {
+                logger.warn(`Sales channel "${channel}" not found in the shop, its rules are ignored`);
+            }
+        });
+        return this.publications;
+    }
+
+    // targets: [{ product, attributes, isNew }] for every product in the feed
+    async syncPublications(targets, options = {}) {
+        const { dryRun = false } = options;
+        const results = {
+            published: 0,
+            unpublished: 0,
+            unchanged: 0,
+            held: [],
+            errors: 0,
+            errorDetails: []
+        };
+
+        const state = this.store.load({ products: {}, pending: {} });
+        const publications = await this.resolvePublications();
+
+        for (const { product, attributes, isNew } of targets) {
+            if (state.pending[product.id]) {
+                // Still waiting for review; keep the latest attributes for approval
+                state.pending[product.id].attributes = attributes;
+                continue;
+            }
+
+            if (isNew && this.config.holdNewProducts) {
+                state.pending[product.id] = {
+                    title: product.title,
+                    skus: (product.variants || []).map(v => v.sku).filter(Boolean),
+                    heldAt: new Date().toISOString(),
+                    attributes
+                };
+                results.held.push({ id: product.id, title: product.title });
+                continue;
+            }
+
+            try {
+                const change = await this.applyChannels(product.id, this.getDesiredChannels(attributes), state.products[product.id], publications, dryRun);
+                if (change.publish.length === 0 && change.unpublish.length === 0) {
+                    results.unchanged++;
+                } else {
+                    results.published += change.publish.length;
+                    results.unpublished += change.unpublish.length;
+                }
+                if (!dryRun) {
+                    state.products[product.id] = change.channels;
+                }
+            } catch (error) {
+                results.errors++;
+                results.errorDetails.push({ csvItem: product.title, error: error.message });
+                logger.error(`✗ Failed to update sales channels for ${product.title}:`, error.message);
+            }
+        }
+
+        if (!dryRun) {
+            this.store.save(state);
+        }
+
+        logger.info(`Publications: ${results.published} channel publishes, ${results.unpublished} unpublishes, ${results.unchanged} unchanged, ${results.held.length} held for review, ${results.errors} errors`);
+        return results;
+    }
+
+    // Publish to / unpublish from channels that differ from the last applied
+    // set. Without a previous record every configured channel is set.
+    async applyChannels(productId, desired, previous, publications, dryRun) {
+        const channels = desired.filter(channel => publications.has(channel));
+        const publish = channels.filter(channel => !previous || !previous.includes(channel));
+        const unpublish = [...publications.keys()].filter(channel =>
+            !channels.includes(channel) && (!previous || previous.includes(channel)));
+
+        if (dryRun) {
+            if (publish.length > 0 || unpublish.length > 0) {
+                logger.debug(`[DRY RUN] Product ${productId}: publish [${publish.join(', ')}], unpublish [${unpublish.join(', ')}]`);
+            }
+        } else {
+            if (publish.length > 0) {
+                await this.publish(productId, publish.map(channel => publications.get(channel)));
+            }
+            if (unpublish.length > 0) {
+                await this.unpublish(productId, unpublish.map(channel => publications.get(channel)));
+            }
+        }
+
+        return { channels, publish, unpublish };
+    }
+
+    async publish(productId, publicationIds) {
+        const data = await this.client.graphql(`
+            mutation Publish($id: ID!, $input: [PublicationInput!]!) {
+                publishablePublish(id: $id, input: $input) {
+                    userErrors { field message }
+                }
+            }`, {
+            id: `gid://shopify/Product/${productId}`,
+            input: publicationIds.map(publicationId => ({ publicationId }))
+        });
+        this.throwUserErrors(data.publishablePublish.userErrors);
+    }
+
+    async unpublish(productId, publicationIds) {
+        const data = await this.client.graphql(`
+            mutation Unpublish($id: ID!, $input: [PublicationInput!]!) {
+                publishableUnpublish(id: $id, input: $input) {
+                    userErrors { field message }
+                }
+            }`, {
+            id: `gid://shopify/Product/${productId}`,
+            input: publicationIds.map(publicationId => ({ publicationId }))
+        });
+        this.throwUserErrors(data.publishableUnpublish.userErrors);
+    }
+
+    throwUserErrors(userErrors) {
+        if (userErrors && userErrors.length > 0) {
+            throw new Error(userErrors.map(e => e.message).join('; '));
+        }
+    }
+
+    listPending() {
+        const state = this.store.load({ products: {}, pending: {} });
+        return Object.entries(state.pending).map(([id, entry]) => ({ id: Number(id), ...entry }));
+    }
+
+    // Release held products (by product ID, SKU, or "all") to the channels
+    // their rules select
+    async approve(selector, options = {}) {
+        const { dryRun = false } = options;
+        const state = this.store.load({ products: {}, pending: {} });
+        const publications = await this.resolvePublications();
+        const wanted = String(selector).toLowerCase();
+        const results = { approved: [], errors: [] };
+
+        const selected = Object.entries(state.pending).filter(([id, entry]) =>
+            wanted === 'all' || id === wanted || entry.skus.some(sku => sku.toLowerCase() === wanted));
+
+        if (selected.length === 0) {
+            throw new Error(`No held product matches "${selector}"`);
+        }
+
+        for (const [id, entry] of selected) {
+            try {
+                const change = await this.applyChannels(id, this.getDesiredChannels(entry.attributes), null, publications, dryRun);
+                if (!dryRun) {
+                    state.products[id] = change.channels;
+                    delete state.pending[id];
+                }
+                results.approved.push({ id: Number(id), title: entry.title, channels: change.channels });
+                logger.info(`${dryRun ? '[DRY RUN] Would approve' : '✓ Approved'} ${entry.title} (ID: ${id}): ${change.channels.join(', ') || 'no channels'}`);
+            } catch (error) {
+                results.errors.push({ id: Number(id), title: entry.title, error: error.message });
+                logger.error(`✗ Failed to approve ${entry.title} (ID: ${id}):`, error.message);
+            }
+        }
+
+        if (!dryRun) {
+            this.store.save(state);
+        }
+        return results;
+    }
+}
+
+module.exports = PublicationSync;
@@ -0,0 +1,220 @@
+const axios = require('axios');
+const logger = require('./logger');
+
+const RETRYABLE_STATUS = new Set([500, 502, 503, 504]);
+const RETRYABLE_CODES = new Set(['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'EPIPE']);
+
+// Queues every Shopify API call and adapts how many run at once from the
+// rate-limit feedback Shopify sends back:
+//   - REST: X-Shopify-Shop-Api-Call-Limit ("used/bucket")
+//   - GraphQL: extensions.cost.throttleStatus
+//   - 429 responses and THROTTLED GraphQL errors (honouring Retry-After)
+// Concurrency grows by one while the bucket stays mostly empty and halves
+// whenever Shopify pushes back. Transient 5xx and network errors are retried
+// with exponential backoff, but only for idempotent requests: a POST that
+// timed out may still have created the product, so POSTs are only retried
+// after a 429 unless the caller marks them idempotent.
+class ShopifyRequestScheduler {
+    constructor(options = {}) {
+        this.maxConcurrency = options.maxConcurrency || parseInt(process.env.SHOPIFY_MAX_CONCURRENCY) || 8;
+        this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : (parseInt(process.env.SHOPIFY_MAX_RETRIES) || 5);
+        this.baseBackoff = options.baseBackoff || 1000;
+        this.concurrency = Math.min(2, this.maxConcurrency);
+
+        this.queue = [];
+        this.active = 0;
+        this.pausedUntil = 0;
+        this.pumpTimer = null;
+
+        this.stats = {
+            requests: 0,
+            retries: 0,
+            throttled: 0
+        };
+    }
+
+    // Send an axios request config through the queue; options.idempotent
+    // overrides the default taken from the method
+    request(config, options = {}) {
+        const idempotent = options.idempotent !== undefined
+            ? options.idempotent
+            : (config.method || 'get').toLowerCase() !== 'post';
+        return new Promise((resolve, reject) => {
+            this.queue.push({ config, idempotent, attempt: 0, resolve, reject });
+            this.pump();
+        });
+    }
+
+    pump() {
+        const now = Date.now();
+        if (now < this.pausedUntil) {
+            if (!this.pumpTimer) {
+                this.pumpTimer = setTimeout(() => {
+                    this.pumpTimer = null;
+                    this.pump();
+                }, this.pausedUntil - now);
+            }
+            return;
+        }
+
+        while (this.active < this.concurrency && this.queue.length > 0) {
+            const task = this.queue.shift();
+            this.active++;
+            this.execute(task).finally(() => {
+                this.active--;
+                this.pump();
+            });
+        }
+    }
+
+    async execute(task) {
+        this.stats.requests++;
+
+        let response;
+        try {
+            response = await axios(task.config);
+        } catch (error) {
+            const delay = this.getRetryDelay(error, task);
+            if (delay !== null && task.attempt < this.maxRetries) {
+                return this.retry(task, delay, error.response ? `HTTP ${error.response.status}` : error.code);
+            }
+            task.reject(error);
+            return;
+        }
+
+        if (this.isGraphqlThrottled(response)) {
+            this.stats.throttled++;
+            const delay = this.getGraphqlRestoreDelay(response, true);
+            this.pause(delay);
+            this.decreaseConcurrency();
+            if (task.attempt < this.maxRetries) {
+                return this.retry(task, delay, 'GraphQL THROTTLED');
+            }
+            task.reject(new Error('GraphQL request throttled'));
+            return;
+        }
+
+        this.observe(response);
+        task.resolve(response);
+    }
+
+    retry(task, delay, reason) {
+        this.stats.retries++;
+        task.attempt++;
+        logger.warn(`Shopify request ${task.config.method || 'get'} ${task.config.url} failed (${reason}), retry ${task.attempt}/${this.maxRetries} in ${delay}ms`);
+
+        setTimeout(() => {
+            this.queue.unshift(task);
+            this.pump();
+        }, delay);
+    }
+
+    // Returns the delay before retrying, or null when the error is not retryable
+    getRetryDelay(error, task) {
+        const { attempt, idempotent } = task;
+        if (error.response) {
+            const status = error.response.status;
+
+            if (status === 429) {
+                this.stats.throttled++;
+                const retryAfter = parseFloat(error.response.headers?.['retry-after']);
+                const delay = !isNaN(retryAfter) ? Math.ceil(retryAfter * 1000) : this.backoff(attempt);
+                this.pause(delay);
+                this.decreaseConcurrency();
+                return delay;
+            }
+
+            if (idempotent && RETRYABLE_STATUS.has(status)) {
+                return this.backoff(attempt);
+            }
+            return null;
+        }
+
+        return idempotent && RETRYABLE_CODES.has(error.code) ? this.backoff(attempt) : null;
+    }
+
+    backoff(attempt) {
+        const jitter = Math.floor(Math.random() * this.baseBackoff);
+        return this.baseBackoff * Math.pow(2, attempt) + jitter;
+    }
+
+    // Adjust pace from the rate-limit headers/extensions of a successful response
+    observe(response) {
+        const callLimit = response.headers?.['x-shopify-shop-api-call-limit'];
+        if (callLimit) {
+            const [used, bucket] = callLimit.split('/').map(Number);
+            if (bucket > 0) {
+                this.adjustForUtilisation(used / bucket);
+                if (used / bucket >= 0.8) {
+                    // REST buckets leak at bucket/20 calls per second (2/s standard, 20/s Plus)
+                    const leakPerSecond = bucket / 20;
+                    this.pause(Math.ceil(((used - bucket * 0.5) / leakPerSecond) * 1000));
+                }
+            }
+            return;
+        }
+
+        const throttleStatus = response.data?.extensions?.cost?.throttleStatus;
+        if (throttleStatus) {
+            const { maximumAvailable, currentlyAvailable } = throttleStatus;
+            this.adjustForUtilisation(1 - currentlyAvailable / maximumAvailable);
+            const delay = this.getGraphqlRestoreDelay(response, false);
+            if (delay > 0) {
+                this.pause(delay);
+            }
+        }
+    }
+
+    adjustForUtilisation(utilisation) {
+        if (utilisation >= 0.8) {
+            this.decreaseConcurrency();
+        } else if (utilisation < 0.5 && this.concurrency < this.maxConcurrency) {
+            this.concurrency++;
+            logger.debug(`Shopify request concurrency raised to ${this.concurrency}`);
+        }
+    }
+
+    decreaseConcurrency() {
+        const next = Math.max(1, Math.floor(this.concurrency / 2));
+        if (next !== this.concurrency) {
+            this.concurrency = next;
+            logger.debug(`Shopify request concurrency lowered to ${this.concurrency}`);
+        }
+    }
+
+    isGraphqlThrottled(response) {
+        const errors = response.data?.errors;
+        return Array.isArray(errors) && errors.some(e => e.extensions?.code === 'THROTTLED');
+    }
+
+    // Time until the GraphQL bucket holds enough points for another query of this cost
+    getGraphqlRestoreDelay(response, throttled) {
+        const cost = response.data?.extensions?.cost;
+        if (!cost || !cost.throttleStatus) {
+            return throttled ? this.backoff(0) : 0;
+        }
+
+        const { maximumAvailable, currentlyAvailable, restoreRate } = cost.throttleStatus;
+        const needed = Math.max(cost.requestedQueryCost || 0, maximumAvailable * 0.2);
+        if (currentlyAvailable >= needed || !restoreRate) {
+            return throttled ? this.backoff(0) : 0;
+        }
+        return Math.ceil(((needed - currentlyAvailable) / restoreRate) * 1000);
+    }
+
+    pause(ms) {
+        const until = Date.now() + ms;
+        if (until > this.pausedUntil) {
+            this.pausedUntil = until;
+        }
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            concurrency: this.concurrency
+        };
+    }
+}
+
+module.exports = ShopifyRequestScheduler;
@@ -0,0 +1,400 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const StateStore = require('./stateStore');
+
+// Product fields a run can change, as sent in the REST product payload
+const PRODUCT_FIELDS = [
+    'title', 'handle', 'body_html', 'metafields_global_title_tag', 'metafields_global_description_tag',
+    'product_type', 'tags', 'status', 'product_category_id', 'options'
+];
+const VARIANT_FIELDS = ['price', 'compare_at_price', 'sku', 'barcode', 'weight', 'option1'];
+
+// Record of what each sync run changed, so a bad feed can be undone with
+// --rollback <runId>. Every run that writes to Shopify keeps
+// STATE_DIR/runs/<runId>.json with the products it created and, for every
+// product it updated, the values of the changed fields before the run:
+// product fields and status, variant fields, variants it added and
+// metafields. --reprice runs are recorded the same way, with the variant
+// prices they changed. Image and inventory changes are not restored.
+// While a run is in progress each before-state is appended to
+// <runId>.jsonl before the product is written; finish() folds the lines into
+// <runId>.json. The last RUN_HISTORY_KEEP (default 30) sync runs and,
+// separately, the last RUN_HISTORY_KEEP reprice runs are kept.
+class RunHistory {
+    constructor(shopifyClient, options = {}) {
+        this.client = shopifyClient;
+        this.runsDir = path.join(options.stateDir || process.env.STATE_DIR || './state', 'runs');
+        this.keep = options.keep || parseInt(process.env.RUN_HISTORY_KEEP || '30');
+        this.run = null;
+        this.store = null;
+    }
+
+    // Run IDs sort by start time; a mode other than sync is appended
+    // ("2026-10-19T19-53-36-621Z-reprice")
+    static createRunId(mode = 'sync') {
+        const runId = new Date().toISOString().replace(/[:.]/g, '-');
+        return mode === 'sync' ? runId : `${runId}-${mode}`;
+    }
+
+    static getMode(runId) {
+        const match = runId.match(/Z-([a-z]+)$/);
+        return match ? match[1] : 'sync';
+    }
+
+    getStore(runId) {
+        if (!/^[\w-]+$/.test(runId)) {
+            throw new Error(`Invalid run ID "${runId}"`);
+        }
+        return new StateStore(runId, { stateDir: this.runsDir });
+    }
+
+    getEntriesPath(runId) {
+        return path.join(this.runsDir, `${runId}.jsonl`);
+    }
+
+    // A resumed run carries on with the record and entries it left behind
+    start(runId, details = {}) {
+        this.store = this.getStore(runId);
+        const existing = this.store.load(null);
+        this.run = existing ? this.readEntries(existing) : {
+            runId,
+            mode: RunHistory.getMode(runId),
+            ...details,
+            startedAt: new Date().toISOString(),
+            finishedAt: null,
+            rolledBackAt: null,
+            created: [],
+            updated: {}
+        };
+        if (!existing) {
+            this.store.save(this.run);
+        }
+        this.prune();
+    }
+
+    finish(summary = {}) {
+        if (!this.run) {
+            return;
+        }
+        this.run.finishedAt = new Date().toISOString();
+        this.run.summary = summary;
+        this.write(this.run);
+        this.run = null;
+    }
+
+    // Full record to <runId>.json; the entries file is no longer needed
+    write(run) {
+        this.getStore(run.runId).save(run);
+        fs.rmSync(this.getEntriesPath(run.runId), { force: true });
+    }
+
+    // Fold the entries appended by an unfinished run into its record
+    readEntries(run) {
+        const entriesPath = this.getEntriesPath(run.runId);
+        if (!fs.existsSync(entriesPath)) {
+            return run;
+        }
+        fs.readFileSync(entriesPath, 'utf8').split('\n').forEach(line => {
+            try {
+                this.merge(run, JSON.parse(line));
+            } catch (error) {
+                // Empty line, or the last line cut off by a crash
+            }
+        });
+        return run;
+    }
+
+    // Apply one entry to the run and append it to the entries file, before
+    // the product is written
+    add(entry) {
+        this.merge(this.run, entry);
+        fs.appendFileSync(this.getEntriesPath(this.run.runId), `${JSON.stringify(entry)}\n`);
+    }
+
+    // The first value seen in a run is the one restored
+    merge(run, entry) {
+        if (entry.created) {
+            if (!run.created.some(created => created.id === entry.created.id)) {
+                run.created.push(entry.created);
+            }
+            return;
+        }
+
+        if (!run.updated[entry.productId]) {
+            run.updated[entry.productId] = { title: entry.title, changes: [], fields: {}, variants: {}, addedVariantSkus: [], metafields: [] };
+        }
+        const updated = run.updated[entry.productId];
+        updated.changes = [...new Set([...updated.changes, ...(entry.changes || [])])];
+        Object.entries(entry.fields || {}).forEach(([field, value]) => {
+            if (!(field in updated.fields)) updated.fields[field] = value;
+        });
+        Object.entries(entry.variants || {}).forEach(([variantId, fields]) => {
+            const before = updated.variants[variantId] || {};
+            Object.entries(fields).forEach(([field, value]) => {
+                if (!(field in before)) before[field] = value;
+            });
+            updated.variants[variantId] = before;
+        });
+        (entry.addedVariantSkus || []).forEach(sku => {
+            if (!updated.addedVariantSkus.includes(sku)) updated.addedVariantSkus.push(sku);
+        });
+        (entry.metafields || []).forEach(metafield => {
+            if (!updated.metafields.some(m => m.namespace === metafield.namespace && m.key === metafield.key)) {
+                updated.metafields.push(metafield);
+            }
+        });
+    }
+
+    recordCreated(product) {
+        if (this.run && product.id) {
+            this.add({ created: { id: product.id, title: product.title } });
+        }
+    }
+
+    // Called before processUpdateItem writes updateData / metafields
+    recordUpdate(existingProduct, updateData, metafields, changes) {
+        if (!this.run) {
+            return;
+        }
+
+        const entry = { productId: existingProduct.id, title: existingProduct.title, changes, fields: {}, variants: {}, addedVariantSkus: [], metafields: [] };
+
+        PRODUCT_FIELDS.forEach(field => {
+            if (updateData[field] !== undefined) {
+                entry.fields[field] = existingProduct[field] === undefined ? null : existingProduct[field];
+            }
+        });
+
+        const existingVariants = new Map((existingProduct.variants || []).map(variant => [variant.id, variant]));
+        (updateData.variants || []).forEach(variant => {
+            if (!variant.id) {
+                if (variant.sku) entry.addedVariantSkus.push(variant.sku);
+                return;
+            }
+            const existing = existingVariants.get(variant.id) || {};
+            const before = {};
+            VARIANT_FIELDS.forEach(field => {
+                if (variant[field] !== undefined) {
+                    before[field] = existing[field] === undefined ? null : existing[field];
+                }
+            });
+            if (Object.keys(before).length > 0) {
+                entry.variants[variant.id] = before;
+            }
+        });
+
+        const existingMetafields = new Map((existingProduct.metafields || []).map(m => [`${m.namespace}.${m.key}`, m]));
+        metafields.forEach(metafield => {
+            const existing = existingMetafields.get(`${metafield.namespace}.${metafield.key}`);
+            entry.metafields.push({
+                namespace: metafield.namespace,
+                key: metafield.key,
+                type: existing ? existing.type : metafield.type,
+                value: existing ? existing.value : null
+            });
+        });
+
+        this.add(entry);
+    }
+
+    // Variant fields changed outside a product update (repricing)
+    recordVariant(product, variantId, fields) {
+        if (!this.run) {
+            return;
+        }
+        const before = {};
+        Object.entries(fields).forEach(([field, value]) => {
+            before[field] = value === undefined ? null : value;
+        });
+        this.add({ productId: product.id, title: product.title, changes: Object.keys(fields), variants: { [variantId]: before } });
+    }
+
+    // Status changes made by the lifecycle step
+    recordStatus(product, status) {
+        if (!this.run) {
+            return;
+        }
+        this.add({ productId: product.id, title: product.title, changes: ['status'], fields: { status: product.status } });
+    }
+
+    // Oldest runs beyond RUN_HISTORY_KEEP are removed, counted per mode so
+    // frequent repricing doesn't push out the sync runs
+    prune() {
+        const byMode = new Map();
+        this.listFiles().forEach(file => {
+            const mode = RunHistory.getMode(file.replace(/\.json$/, ''));
+            byMode.set(mode, [...(byMode.get(mode) || []), file]);
+        });
+        byMode.forEach(files => {
+            files.slice(0, Math.max(0, files.length - this.keep)).forEach(file => {
+                fs.rmSync(path.join(this.runsDir, file), { force: true });
+                fs.rmSync(path.join(this.runsDir, `${file}l`), { force: true });
+            });
+        });
+    }
+
+    listFiles() {
+        if (!fs.existsSync(this.runsDir)) {
+            return [];
+        }
+        return fs.readdirSync(this.runsDir).filter(file => file.endsWith('.json')).sort();
+    }
+
+    list() {
+        return this.listFiles().map(file => {
+            const run = this.load(file.replace(/\.json$/, ''));
+            return {
+                runId: run.runId,
+                mode: run.mode || 'sync',
+                startedAt: run.startedAt,
+                finishedAt: run.finishedAt,
+                rolledBackAt: run.rolledBackAt,
+                created: run.created.length,
+                updated: Object.keys(run.updated).length
+            };
+        });
+    }
+
+    load(runId) {
+        const run = this.getStore(runId).load(null);
+        if (!run) {
+            throw new Error(`No run ${runId} in ${this.runsDir}`);
+        }
+        return this.readEntries(run);
+    }
+
+    // Restore what a run changed. Created products are set to draft, or
+    // deleted with deleteCreated.
+    async rollback(runId, options = {}) {
+        const { dryRun = false, deleteCreated = false } = options;
+        const run = this.load(runId);
+        const results = { restored: 0, created: 0, errors: [] };
+
+        if (run.rolledBackAt) {
+            throw new Error(`Run ${runId} was already rolled back at ${run.rolledBackAt}`);
+        }
+        if (!run.finishedAt) {
+            logger.warn(`Run ${runId} did not finish; rolling back the changes it recorded`);
+        }
+
+        // Later runs may have written the same products again
+        const productIds = new Set(Object.keys(run.updated));
+        const laterRuns = this.listFiles()
+            .filter(file => file.replace(/\.json$/, '') > runId)
+            .map(file => this.load(file.replace(/\.json$/, '')))
+            .filter(later => !later.rolledBackAt && Object.keys(later.updated).some(id => productIds.has(id)));
+        if (laterRuns.length > 0) {
+            logger.warn(`Later runs changed some of the same products (${laterRuns.map(later => later.runId).join(', ')}); their changes to those fields are overwritten`);
+        }
+
+        for (const [productId, entry] of Object.entries(run.updated)) {
+            try {
+                if (entry.changes.includes('images')) {
+                    logger.warn(`Images of ${entry.title} (ID: ${productId}) changed in run ${runId} and are not restored`);
+                }
+                if (dryRun) {
+                    logger.info(`[DRY RUN] Would restore ${entry.title} (ID: ${productId}): ${[
+                        ...Object.keys(entry.fields),
+                        ...Object.keys(entry.variants).map(id => `variant ${id} ${Object.keys(entry.variants[id]).join('/')}`),
+                        ...entry.addedVariantSkus.map(sku => `remove variant ${sku}`),
+                        ...entry.metafields.map(m => `${m.namespace}.${m.key}`)
+                    ].join(', ')}`);
+                } else {
+                    await this.restoreProduct(productId, entry);
+                    logger.info(`✓ Restored ${entry.title} (ID: ${productId})`);
+                }
+                results.restored++;
+            } catch (error) {
+                results.errors.push({ productId, error: error.message });
+                logger.error(`✗ Failed to restore ${entry.title} (ID: ${productId}):`, error.message);
+            }
+        }
+
+        for (const product of run.created) {
+            try {
+                if (dryRun) {
+                    logger.info(`[DRY RUN] Would ${deleteCreated ? 'delete' : 'draft'} created product ${product.title} (ID: ${product.id})`);
+                } else if (deleteCreated) {
+                    // Deleted by the rollback, not by a merchandiser: keep the SKUs unblocked
+                    this.client.blocklist.forgetProduct(product.id);
+                    await this.client.deleteProduct(product.id);
+                    logger.info(`✓ Deleted ${product.title} (ID: ${product.id})`);
+                } else {
+                    await this.client.updateProduct(product.id, { id: product.id, status: 'draft' });
+                    logger.info(`✓ Drafted ${product.title} (ID: ${product.id})`);
+                }
+                results.created++;
+            } catch (error) {
+                results.errors.push({ productId: product.id, error: error.message });
+                logger.error(`✗ Failed to ${deleteCreated ? 'delete' : 'draft'} ${product.title} (ID: ${product.id}):`, error.message);
+            }
+        }
+
+        if (!dryRun) {
+            if (run.mode === 'reprice') {
+                this.client.metalRepricer.restoreBasis(run.updated);
+            }
+            run.rolledBackAt = new Date().toISOString();
+            run.rollback = { restored: results.restored, created: results.created, deleteCreated, errors: results.errors };
+            this.write(run);
+        }
+
+        return results;
+    }
+
+    async restoreProduct(productId, entry) {
+        if (Object.keys(entry.fields).length > 0) {
+            await this.client.updateProduct(productId, { id: Number(productId), ...entry.fields });
+        }
+
+        for (const [variantId, fields] of Object.entries(entry.variants)) {
+            await this.client.updateVariant(variantId, fields);
+        }
+
+        if (entry.addedVariantSkus.length > 0) {
+            const product = await this.client.getProductById(productId);
+            const added = new Set(entry.addedVariantSkus.map(sku => sku.toLowerCase()));
+            for (const variant of product.variants.filter(v => v.sku && added.has(v.sku.toLowerCase()))) {
+                await this.client.deleteVariant(productId, variant.id);
+            }
+        }
+
+        const previous = entry.metafields.filter(m => m.value !== null);
+        if (previous.length > 0) {
+            await this.client.metafieldSync.setMetafields(productId, previous);
+        }
+        for (const metafield of entry.metafields.filter(m => m.value === null)) {
+            await this.deleteMetafield(productId, metafield);
+        }
+    }
+
+    // Metafields the run added are removed again
+    async deleteMetafield(productId, { namespace, key }) {
+        const data = await this.client.graphql(`
+            query Metafield($id: ID!, $namespace: String!, $key: String!) {
+                product(id: $id) {
+                    metafield(namespace: $namespace, key: $key) { id }
+                }
+            }`, { id: `gid://shopify/Product/${productId}`, namespace, key });
+
+        const metafield = data.product && data.product.metafield;
+        if (!metafield) {
+            return;
+        }
+
+        const result = await this.client.graphql(`
+            mutation DeleteMetafield($input: MetafieldDeleteInput!) {
+                metafieldDelete(input: $input) {
+                    userErrors { field message }
+                }
+            }`, { input: { id: metafield.id } });
+
+        const { userErrors } = result.metafieldDelete;
+        if (userErrors && userErrors.length > 0) {
+            throw new Error(userErrors.map(e => e.message).join('; '));
+        }
+    }
+}
+
+module.exports = RunHistory;
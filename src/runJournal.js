@@ -0,0 +1,157 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Checkpoint journal so a run killed part-way (container restart, OOM,
+// SIGTERM) can be resumed instead of started over. It lives in
+// STATE_DIR/journal while a run is in progress:
+//   run.json        run ID, feed, start time and the planned create/update
+//                   actions
+//   products.json   the Shopify products the run started from, so a resumed
+//                   run doesn't fetch them again
+//   actions.jsonl   one line per action started and completed, appended as
+//                   they happen; completed creates carry the created product,
+//                   updates the ID of the product they write to
+// The next run finds the journal, takes over its run ID (and so its
+// RunHistory record), skips completed actions and treats the products it
+// created as existing. A create that was started but never recorded as
+// completed is looked up by SKU first, so it isn't created twice. Products
+// with a started or completed update are fetched again rather than taken
+// from products.json, which predates the update. Only a run of the same feed
+// file, started less than SHOPIFY_RESUME_MAX_HOURS (default 12) ago, is
+// resumed; any other journal is discarded. The journal is removed when the
+// run gets to the end; SHOPIFY_RESUME_RUNS=false discards an unfinished
+// journal instead.
+class RunJournal {
+    constructor(options = {}) {
+        this.dir = path.join(options.stateDir || process.env.STATE_DIR || './state', 'journal');
+        this.resume = options.resume !== undefined ? options.resume : process.env.SHOPIFY_RESUME_RUNS !== 'false';
+        this.maxAgeHours = options.maxAgeHours || parseFloat(process.env.SHOPIFY_RESUME_MAX_HOURS || '12');
+        this.active = false;
+    }
+
+    getKey(action, csvItem) {
+        return `${action}:${csvItem.Item || csvItem.Description}`;
+    }
+
+    exists() {
+        return fs.existsSync(path.join(this.dir, 'run.json'));
+    }
+
+    // run.json of the interrupted run if it can be resumed with this feed;
+    // otherwise the journal is discarded and null returned
+    findRun(feedId) {
+        if (!this.exists()) {
+            return null;
+        }
+
+        const run = JSON.parse(fs.readFileSync(path.join(this.dir, 'run.json'), 'utf8'));
+        let reason = null;
+        if (!this.resume) {
+            reason = 'SHOPIFY_RESUME_RUNS=false';
+        } else if (run.feedId !== feedId) {
+            reason = `it ran on another feed (${run.feedId || 'unknown'})`;
+        } else if (Date.now() - new Date(run.startedAt).getTime() > this.maxAgeHours * HOUR_MS) {
+            reason = `it started more than ${this.maxAgeHours} hours ago (${run.startedAt})`;
+        }
+
+        if (reason) {
+            logger.warn(`Discarding the journal of interrupted run ${run.runId}: ${reason}`);
+            this.clear();
+            return null;
+        }
+        return run;
+    }
+
+    // The interrupted run to resume, or null:
+    // { runId, feedId, startedAt, planned, completed: Map key -> entry,
+    //   started: Map key -> entry for actions never completed }
+    load(feedId) {
+        const run = this.findRun(feedId);
+        if (!run) {
+            return null;
+        }
+
+        const completed = new Map();
+        const started = new Map();
+        const actionsFile = path.join(this.dir, 'actions.jsonl');
+        const lines = fs.existsSync(actionsFile) ? fs.readFileSync(actionsFile, 'utf8').split('\n') : [];
+        lines.forEach(line => {
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                // Empty line, or the last line cut off by the crash
+                return;
+            }
+            if (entry.status === 'completed') {
+                completed.set(entry.key, entry);
+                started.delete(entry.key);
+            } else if (!completed.has(entry.key)) {
+                started.set(entry.key, entry);
+            }
+        });
+
+        return { ...run, completed, started };
+    }
+
+    loadProducts() {
+        const productsFile = path.join(this.dir, 'products.json');
+        if (!fs.existsSync(productsFile)) {
+            return null;
+        }
+        return JSON.parse(fs.readFileSync(productsFile, 'utf8'));
+    }
+
+    // Start a new journal for a run, or keep appending to the resumed one
+    begin(runId, feedId, products, resumed = null) {
+        this.active = true;
+        if (resumed) {
+            return;
+        }
+
+        fs.mkdirSync(this.dir, { recursive: true });
+        fs.writeFileSync(path.join(this.dir, 'products.json'), JSON.stringify(products));
+        fs.writeFileSync(path.join(this.dir, 'actions.jsonl'), '');
+        this.writeRun({ runId, feedId, startedAt: new Date().toISOString(), planned: [] });
+    }
+
+    plan(items) {
+        if (!this.active) {
+            return;
+        }
+        const run = JSON.parse(fs.readFileSync(path.join(this.dir, 'run.json'), 'utf8'));
+        run.planned = items.map(item => this.getKey(item.action, item.csvItem));
+        this.writeRun(run);
+    }
+
+    writeRun(run) {
+        const tempPath = path.join(this.dir, 'run.json.tmp');
+        fs.writeFileSync(tempPath, JSON.stringify(run, null, 2));
+        fs.renameSync(tempPath, path.join(this.dir, 'run.json'));
+    }
+
+    markStarted(key, details = {}) {
+        this.append({ key, status: 'started', ...details });
+    }
+
+    markCompleted(key, details = {}) {
+        this.append({ key, status: 'completed', ...details });
+    }
+
+    append(entry) {
+        if (this.active) {
+            fs.appendFileSync(path.join(this.dir, 'actions.jsonl'), `${JSON.stringify(entry)}\n`);
+        }
+    }
+
+    // Only called once the run got to the end
+    clear() {
+        this.active = false;
+        fs.rmSync(this.dir, { recursive: true, force: true });
+    }
+}
+
+module.exports = RunJournal;
@@ -0,0 +1,268 @@
+const axios = require('axios');
+const readline = require('readline');
+const logger = require('./logger');
+
+// Products, variants, images and metafields in a single bulk export. Field names are the
+// GraphQL ones; toRestProduct() converts them to the REST shape the rest of the
+// sync (lookup maps, doesProductNeedUpdate, buildUpdateData) works with.
+const PRODUCTS_BULK_QUERY = `
+{
+    products {
+        edges {
+            node {
+                id
+                legacyResourceId
+                title
+                handle
+                descriptionHtml
+                vendor
+                productType
+                tags
+                status
+                seo {
+                    title
+                    description
+                }
+                createdAt
+                updatedAt
+                options {
+                    name
+                    position
+                    values
+                }
+                variants {
+                    edges {
+                        node {
+                            id
+                            legacyResourceId
+                            title
+                            sku
+                            barcode
+                            price
+                            compareAtPrice
+                            inventoryQuantity
+                            weight
+                            weightUnit
+                            position
+                            selectedOptions {
+                                name
+                                value
+                            }
+                            inventoryItem {
+                                legacyResourceId
+                            }
+                        }
+                    }
+                }
+                images {
+                    edges {
+                        node {
+                            id
+                            url
+                            altText
+                        }
+                    }
+                }
+                metafields {
+                    edges {
+                        node {
+                            id
+                            namespace
+                            key
+                            value
+                            type
+                        }
+                    }
+                }
+            }
+        }
+    }
+}`;
+
+const WEIGHT_UNITS = {
+    GRAMS: 'g',
+    KILOGRAMS: 'kg',
+    OUNCES: 'oz',
+    POUNDS: 'lb'
+};
+
+class ShopifyBulkExporter {
+    constructor(shopifyClient, options = {}) {
+        this.client = shopifyClient;
+        this.pollInterval = options.pollInterval || parseInt(process.env.SHOPIFY_BULK_POLL_INTERVAL) || 5000;
+        this.timeout = options.timeout || (parseInt(process.env.SHOPIFY_BULK_TIMEOUT_MINUTES) || 60) * 60 * 1000;
+    }
+
+    // Run the bulk export end to end and return products in REST shape
+    async exportProducts() {
+        const startTime = Date.now();
+
+        const operation = await this.startBulkQuery(PRODUCTS_BULK_QUERY);
+        logger.info(`Bulk operation started: ${operation.id}`);
+
+        const finished = await this.waitForCompletion(operation.id);
+        logger.info(`Bulk operation completed: ${finished.objectCount} objects in ${((Date.now() - startTime) / 1000).toFixed(2)}s`);
+
+        if (!finished.url) {
+            // Shopify returns no file when the query matched nothing
+            return [];
+        }
+
+        const products = await this.downloadResults(finished.url);
+        logger.info(`Parsed ${products.length} products from bulk export`);
+        return products;
+    }
+
+    async startBulkQuery(query) {
+        const data = await this.client.graphql(`
+            mutation RunBulkQuery($query: String!) {
+                bulkOperationRunQuery(query: $query) {
+                    bulkOperation { id status }
+                    userErrors { field message }
+                }
+            }`, { query });
+
+        const { bulkOperation, userErrors } = data.bulkOperationRunQuery;
+        if (userErrors && userErrors.length > 0) {
+            throw new Error(`Bulk query rejected: ${userErrors.map(e => e.message).join('; ')}`);
+        }
+        return bulkOperation;
+    }
+
+    // Poll currentBulkOperation until it reaches a terminal status
+    async waitForCompletion(operationId) {
+        const deadline = Date.now() + this.timeout;
+
+        while (Date.now() < deadline) {
+            const data = await this.client.graphql(`
+                query {
+                    currentBulkOperation(type: QUERY) {
+                        id status errorCode objectCount url partialDataUrl
+                    }
+                }`);
+
+            const operation = data.currentBulkOperation;
+            if (!operation || operation.id !== operationId) {
+                throw new Error(`Bulk operation ${operationId} is no longer the current operation`);
+            }
+
+            switch (operation.status) {
+                case 'COMPLETED':
+                    return operation;
+                case 'FAILED':
+                case 'CANCELED':
+                case 'EXPIRED':
+                    throw new Error(`Bulk operation ${operation.status.toLowerCase()}${operation.errorCode ? ` (${operation.errorCode})` : ''}`);
+                default:
+                    logger.info(`  Bulk operation ${operation.status.toLowerCase()}: ${operation.objectCount} objects so far`);
+                    await this.client.delay(this.pollInterval);
+            }
+        }
+
+        throw new Error(`Bulk operation ${operationId} did not complete within ${this.timeout / 60000} minutes`);
+    }
+
+    // Stream the JSONL result, attaching child rows to their parent product
+    async downloadResults(url) {
+        const response = await axios.get(url, { responseType: 'stream' });
+        const lines = readline.createInterface({ input: response.data, crlfDelay: Infinity });
+
+        const products = [];
+        const productsByGid = new Map();
+
+        for await (const line of lines) {
+            if (!line.trim()) continue;
+            const node = JSON.parse(line);
+
+            if (!node.__parentId) {
+                const product = this.toRestProduct(node);
+                productsByGid.set(node.id, product);
+                products.push(product);
+                continue;
+            }
+
+            const parent = productsByGid.get(node.__parentId);
+            if (!parent) {
+                logger.warn(`Bulk export row ${node.id} has unknown parent ${node.__parentId}`);
+                continue;
+            }
+
+            if (node.id.includes('/ProductVariant/')) {
+                parent.variants.push(this.toRestVariant(node, parent.id));
+            } else if (node.id.includes('/ProductImage/')) {
+                parent.images.push(this.toRestImage(node, parent));
+            } else if (node.id.includes('/Metafield/')) {
+                parent.metafields.push({
+                    id: Number(node.id.split('/').pop()),
+                    namespace: node.namespace,
+                    key: node.key,
+                    value: node.value,
+                    type: node.type
+                });
+            }
+        }
+
+        return products;
+    }
+
+    toRestProduct(node) {
+        return {
+            id: Number(node.legacyResourceId),
+            admin_graphql_api_id: node.id,
+            title: node.title,
+            handle: node.handle,
+            body_html: node.descriptionHtml,
+            vendor: node.vendor,
+            product_type: node.productType,
+            tags: (node.tags || []).join(', '),
+            status: (node.status || '').toLowerCase(),
+            metafields_global_title_tag: node.seo ? node.seo.title : null,
+            metafields_global_description_tag: node.seo ? node.seo.description : null,
+            created_at: node.createdAt,
+            updated_at: node.updatedAt,
+            options: (node.options || []).map(option => ({
+                name: option.name,
+                position: option.position,
+                values: option.values
+            })),
+            variants: [],
+            images: [],
+            metafields: []
+        };
+    }
+
+    toRestVariant(node, productId) {
+        const options = node.selectedOptions || [];
+        return {
+            id: Number(node.legacyResourceId),
+            admin_graphql_api_id: node.id,
+            product_id: productId,
+            title: node.title,
+            sku: node.sku,
+            barcode: node.barcode,
+            price: node.price,
+            compare_at_price: node.compareAtPrice,
+            inventory_quantity: node.inventoryQuantity,
+            inventory_item_id: node.inventoryItem ? Number(node.inventoryItem.legacyResourceId) : null,
+            weight: node.weight,
+            weight_unit: WEIGHT_UNITS[node.weightUnit] || node.weightUnit,
+            position: node.position,
+            option1: options[0] ? options[0].value : null,
+            option2: options[1] ? options[1].value : null,
+            option3: options[2] ? options[2].value : null
+        };
+    }
+
+    toRestImage(node, product) {
+        return {
+            id: Number(node.id.split('/').pop()),
+            admin_graphql_api_id: node.id,
+            product_id: product.id,
+            position: product.images.length + 1,
+            src: node.url,
+            alt: node.altText
+        };
+    }
+}
+
+module.exports = ShopifyBulkExporter;
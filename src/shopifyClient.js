@@ -1,186 +1,93 @@
-const axios = require('axios');
 const logger = require('./logger');
+const ShopifyBulkExporter = require('./shopifyBulkExport');
+const ShopifyRequestScheduler = require('./requestScheduler');
+const VariantGrouper = require('./variantGrouper');
+const InventorySync = require('./inventorySync');
+const MetafieldSync = require('./metafieldSync');
+const metafieldDefinitions = require('./metafieldDefinitions');
+const SpecParser = require('./specParser');
+const ProductTemplates = require('./productTemplates');
+const HandleRegistry = require('./handleRegistry');
+const PublicationSync = require('./publicationSync');
+const ProductBlocklist = require('./productBlocklist');
+const ProductOwnership = require('./productOwnership');
+const ProductLifecycle = require('./productLifecycle');
+const PricingEngine = require('./pricingEngine');
+const MarketPricing = require('./marketPricing');
+const MetalRepricer = require('./metalRepricer');
+const ImageSync = require('./imageSync');
+const ImageValidator = require('./imageValidator');
+const FeedFilter = require('./feedFilter');
+const FeedOverrides = require('./feedOverrides');
+const FieldLocks = require('./fieldLocks');
+const CategoryMapper = require('./categoryMapper');
+const CollectionSync = require('./collectionSync');
+const RunHistory = require('./runHistory');
+const RunJournal = require('./runJournal');
 
 class ShopifyClient {
-    constructor() {
+    // store: an entry from the StoreRegistry; without one the client talks to
+    // SHOPIFY_STORE_URL with the settings from the environment
+    constructor(store = {}) {
+        this.store = {
+            name: 'default',
+            storeUrl: process.env.SHOPIFY_STORE_URL,
+            accessToken: process.env.SHOPIFY_ACCESS_TOKEN,
+            ...store
+        };
         this.baseURL = null;
+        this.graphqlURL = null;
         this.headers = null;
         this.initialized = false;
-        
-        // Shopify category mapping based on the 3rd level nested categories
-        this.categoryMap = new Map([
-            // Jewelry > Anklets
-            ['anklets', 332],
-            ['anklet', 332],
-            
-            // Jewelry > Body Jewelry
-            ['body jewelry', 333],
-            ['body', 333],
-
-            // Jewelry > Bracelets
-            ['bracelets', 334],
-            ['bracelet', 334],
-            
-            // Jewelry > Brooches & Lapel Pins
-            ['brooches', 335],
-            ['brooch', 335],
-            ['lapel pins', 335],
-            ['lapel pin', 335],
-            
-            // Jewelry > Charms & Pendants
-            ['charms', 336],
-            ['charm', 336],
-            ['pendants', 336],
-            ['pendant', 336],
-            
-            // Jewelry > Earrings
-            ['earrings', 337],
-            ['earring', 337],
-            
-            // Jewelry > Jewelry Sets
-            ['jewelry sets', 338],
-            ['jewelry set', 338],
-            ['sets', 338],
-            ['set', 338],
-            
-            // Jewelry > Necklaces
-            ['necklaces', 339],
-            ['necklace', 339],
-            ['chain necklaces', 339],
-            ['chain necklace', 339],
-            
-            // Jewelry > Rings
-            ['rings', 340],
-            ['ring', 340],
-
-            // Jewelry > Smart Watches
-            ['smart watches', 341],
-            ['smart watch', 341],
-            
-            // Jewelry > Watch Accessories
-            ['watch accessories', 341],
-            ['watch accessory', 341],
-            
-            // Jewelry > Watch Accessories > Watch Bands
-            ['watch bands', 342],
-            ['watch band', 342],
-            
-            // Jewelry > Watch Accessories > Watch Stickers & Decals
-            ['watch stickers', 343],
-            ['watch decals', 343],
-            ['watch stickers & decals', 343],
-            
-            // Jewelry > Watch Accessories > Watch Winders
-            ['watch winders', 344],
-            ['watch winder', 344],
-            
-            // Jewelry > Watches
-            ['watches', 345],
-            ['watch', 345],
-            
-            // Additional mappings for chain types that should be under necklaces
-            ['chains', 339],
-            ['chain', 339],
-            ['rope chains', 339],
-            ['rope chain', 339],
-            ['curb chains', 339],
-            ['curb chain', 339],
-            ['cable chains', 339],
-            ['cable chain339']
-        ]);
-        // this.categoryMap = new Map([
-        //     // Jewelry > Anklets
-        //     ['anklets', 'gid://shopify/TaxonomyCategory/aa-6-1'],
-        //     ['anklet', 'gid://shopify/TaxonomyCategory/aa-6-1'],
-            
-        //     // Jewelry > Body Jewelry
-        //     ['body jewelry', 'gid://shopify/TaxonomyCategory/aa-6-2'],
-        //     ['body', 'gid://shopify/TaxonomyCategory/aa-6-2'],
-            
-        //     // Jewelry > Bracelets
-        //     ['bracelets', 'gid://shopify/TaxonomyCategory/aa-6-3'],
-        //     ['bracelet', 'gid://shopify/TaxonomyCategory/aa-6-3'],
-            
-        //     // Jewelry > Brooches & Lapel Pins
-        //     ['brooches', 'gid://shopify/TaxonomyCategory/aa-6-4'],
-        //     ['brooch', 'gid://shopify/TaxonomyCategory/aa-6-4'],
-        //     ['lapel pins', 'gid://shopify/TaxonomyCategory/aa-6-4'],
-        //     ['lapel pin', 'gid://shopify/TaxonomyCategory/aa-6-4'],
-            
-        //     // Jewelry > Charms & Pendants
-        //     ['charms', 'gid://shopify/TaxonomyCategory/aa-6-5'],
-        //     ['charm', 'gid://shopify/TaxonomyCategory/aa-6-5'],
-        //     ['pendants', 'gid://shopify/TaxonomyCategory/aa-6-5'],
-        //     ['pendant', 'gid://shopify/TaxonomyCategory/aa-6-5'],
-            
-        //     // Jewelry > Earrings
-        //     ['earrings', 'gid://shopify/TaxonomyCategory/aa-6-6'],
-        //     ['earring', 'gid://shopify/TaxonomyCategory/aa-6-6'],
-            
-        //     // Jewelry > Jewelry Sets
-        //     ['jewelry sets', 'gid://shopify/TaxonomyCategory/aa-6-7'],
-        //     ['jewelry set', 'gid://shopify/TaxonomyCategory/aa-6-7'],
-        //     ['sets', 'gid://shopify/TaxonomyCategory/aa-6-7'],
-        //     ['set', 'gid://shopify/TaxonomyCategory/aa-6-7'],
-            
-        //     // Jewelry > Necklaces
-        //     ['necklaces', 'gid://shopify/TaxonomyCategory/aa-6-8'],
-        //     ['necklace', 'gid://shopify/TaxonomyCategory/aa-6-8'],
-        //     ['chain necklaces', 'gid://shopify/TaxonomyCategory/aa-6-8'],
-        //     ['chain necklace', 'gid://shopify/TaxonomyCategory/aa-6-8'],
-            
-        //     // Jewelry > Rings
-        //     ['rings', 'gid://shopify/TaxonomyCategory/aa-6-9'],
-        //     ['ring', 'gid://shopify/TaxonomyCategory/aa-6-9'],
-            
-        //     // Jewelry > Smart Watches
-        //     ['smart watches', 'gid://shopify/TaxonomyCategory/aa-6-12'],
-        //     ['smart watch', 'gid://shopify/TaxonomyCategory/aa-6-12'],
-            
-        //     // Jewelry > Watch Accessories
-        //     ['watch accessories', 'gid://shopify/TaxonomyCategory/aa-6-10'],
-        //     ['watch accessory', 'gid://shopify/TaxonomyCategory/aa-6-10'],
-            
-        //     // Jewelry > Watch Accessories > Watch Bands
-        //     ['watch bands', 'gid://shopify/TaxonomyCategory/aa-6-10-1'],
-        //     ['watch band', 'gid://shopify/TaxonomyCategory/aa-6-10-1'],
-            
-        //     // Jewelry > Watch Accessories > Watch Stickers & Decals
-        //     ['watch stickers', 'gid://shopify/TaxonomyCategory/aa-6-10-2'],
-        //     ['watch decals', 'gid://shopify/TaxonomyCategory/aa-6-10-2'],
-        //     ['watch stickers & decals', 'gid://shopify/TaxonomyCategory/aa-6-10-2'],
-            
-        //     // Jewelry > Watch Accessories > Watch Winders
-        //     ['watch winders', 'gid://shopify/TaxonomyCategory/aa-6-10-3'],
-        //     ['watch winder', 'gid://shopify/TaxonomyCategory/aa-6-10-3'],
-            
-        //     // Jewelry > Watches
-        //     ['watches', 'gid://shopify/TaxonomyCategory/aa-6-11'],
-        //     ['watch', 'gid://shopify/TaxonomyCategory/aa-6-11'],
-            
-        //     // Additional mappings for chain types that should be under necklaces
-        //     ['chains', 'gid://shopify/TaxonomyCategory/aa-6-8'],
-        //     ['chain', 'gid://shopify/TaxonomyCategory/aa-6-8'],
-        //     ['rope chains', 'gid://shopify/TaxonomyCategory/aa-6-8'],
-        //     ['rope chain', 'gid://shopify/TaxonomyCategory/aa-6-8'],
-        //     ['curb chains', 'gid://shopify/TaxonomyCategory/aa-6-8'],
-        //     ['curb chain', 'gid://shopify/TaxonomyCategory/aa-6-8'],
-        //     ['cable chains', 'gid://shopify/TaxonomyCategory/aa-6-8'],
-        //     ['cable chain', 'gid://shopify/TaxonomyCategory/aa-6-8']
-        // ]);
-        
-        // Default category for jewelry if no specific match is found
-        this.defaultJewelryCategory = 'gid://shopify/TaxonomyCategory/aa-6-8'; // Necklaces as default
+        this.scheduler = new ShopifyRequestScheduler({
+            maxConcurrency: this.store.maxConcurrency,
+            maxRetries: this.store.maxRetries
+        });
+        this.bulkExporter = new ShopifyBulkExporter(this);
+        this.variantGrouper = new VariantGrouper();
+        this.inventorySync = new InventorySync(this, { locations: this.store.inventoryLocations });
+        this.specParser = new SpecParser();
+        this.productTemplates = new ProductTemplates({ templatesDir: this.store.templatesDir });
+        this.metafieldSync = new MetafieldSync(this, [...metafieldDefinitions, ...this.specParser.getDefinitions()]);
+        this.lifecycle = new ProductLifecycle(this, { stateDir: this.store.stateDir });
+        this.pricingEngine = new PricingEngine({ rulesFile: this.store.pricingRulesFile });
+        this.marketPricing = new MarketPricing(this, { rulesFile: this.store.marketPricingFile });
+        this.metalRepricer = new MetalRepricer(this, { stateDir: this.store.stateDir });
+        this.imageSync = new ImageSync(this);
+        this.imageValidator = new ImageValidator();
+        this.feedFilter = new FeedFilter(this.imageValidator, { rulesFile: this.store.feedRulesFile });
+        this.feedOverrides = new FeedOverrides({ overridesFile: this.store.overridesFile });
+        this.categoryMapper = new CategoryMapper({ mapFile: this.store.categoryMapFile });
+        this.collectionSync = new CollectionSync(this, { stateDir: this.store.stateDir });
+        this.publicationSync = new PublicationSync(this, {
+            rulesFile: this.store.publicationRulesFile,
+            stateDir: this.store.stateDir
+        });
+        this.blocklist = new ProductBlocklist({ stateDir: this.store.stateDir });
+        this.ownership = new ProductOwnership(this);
+        this.runHistory = new RunHistory(this, { stateDir: this.store.stateDir });
+        this.runJournal = new RunJournal({ stateDir: this.store.stateDir });
+        this.fieldLocks = new FieldLocks({
+            locksFile: this.store.fieldLocksFile,
+            stateDir: this.store.stateDir
+        });
+        // Set per run from the shop's products, see processProductsFromCSV
+        this.handleRegistry = null;
+        // Set per run from its syncCollections option; previews follow the config
+        this.tagCollections = this.collectionSync.enabled;
+        this.updateHandles = process.env.SHOPIFY_UPDATE_HANDLES === 'true';
     }
 
     async initialize() {
         try {
-            if (!process.env.SHOPIFY_STORE_URL || !process.env.SHOPIFY_ACCESS_TOKEN) {
-                throw new Error('Missing Shopify configuration. Please check SHOPIFY_STORE_URL and SHOPIFY_ACCESS_TOKEN in .env file');
+            if (!this.store.storeUrl || !this.store.accessToken) {
+                throw new Error(this.store.name === 'default'
+                    ? 'Missing Shopify configuration. Please check SHOPIFY_STORE_URL and SHOPIFY_ACCESS_TOKEN in .env file'
+                    : `Missing Shopify configuration for store "${this.store.name}". Please check storeUrl and accessTokenEnv in the stores file`);
             }
 
             // Ensure store URL has the correct format
-            let storeUrl = process.env.SHOPIFY_STORE_URL;
+            let storeUrl = this.store.storeUrl;
             if (!storeUrl.includes('.myshopify.com')) {
                 storeUrl = storeUrl.replace('.com', '.myshopify.com');
             }
@@ -189,8 +96,9 @@ class ShopifyClient {
             }
 
             this.baseURL = `${storeUrl}/admin/api/2023-10`;
+            this.graphqlURL = `${this.baseURL}/graphql.json`;
             this.headers = {
-                'X-Shopify-Access-Token': process.env.SHOPIFY_ACCESS_TOKEN,
+                'X-Shopify-Access-Token': this.store.accessToken,
                 'Content-Type': 'application/json',
                 'Accept': 'application/json'
             };
@@ -209,7 +117,7 @@ class ShopifyClient {
 
     async testConnection() {
         try {
-            const response = await axios.get(`${this.baseURL}/shop.json`, { headers: this.headers });
+            const response = await this.request({ method: 'get', url: `${this.baseURL}/shop.json` });
             logger.info(`Connected to shop: ${response.data.shop.name}`);
             return response.data.shop;
         } catch (error) {
@@ -227,11 +135,31 @@ class ShopifyClient {
         }
     }
 
+    // Fetch the whole catalog, preferring a GraphQL bulk export over REST paging
     async getAllProducts() {
         if (!this.initialized) {
             await this.initialize();
         }
 
+        if (process.env.SHOPIFY_BULK_EXPORT !== 'false') {
+            try {
+                logger.info('Starting bulk export of all products from Shopify...');
+                const products = await this.bulkExporter.exportProducts();
+                logger.info(`Successfully fetched ${products.length} total products from Shopify`);
+                return products;
+            } catch (error) {
+                logger.warn(`Bulk export failed, falling back to paged REST fetch: ${error.message}`);
+            }
+        }
+
+        return await this.getAllProductsPaged();
+    }
+
+    async getAllProductsPaged() {
+        if (!this.initialized) {
+            await this.initialize();
+        }
+
         try {
             const products = [];
             let url = `${this.baseURL}/products.json?limit=250`;
@@ -243,7 +171,7 @@ class ShopifyClient {
                 pageCount++;
                 logger.info(`Fetching page ${pageCount}...`);
                 
-                const response = await axios.get(url, { headers: this.headers });
+                const response = await this.request({ method: 'get', url });
                 const batch = response.data.products;
                 products.push(...batch);
                 
@@ -252,11 +180,10 @@ class ShopifyClient {
                 // Check for next page using Link header
                 const linkHeader = response.headers.link;
                 url = this.extractNextPageUrl(linkHeader);
+            }
 
-                // Add a small delay to respect rate limits
-                if (url) {
-                    await this.delay(100);
-                }
+            if (url) {
+                logger.warn(`Stopped paging after ${pageCount} pages; the product list is incomplete`);
             }
 
             logger.info(`Successfully fetched ${products.length} total products from Shopify`);
@@ -268,15 +195,31 @@ class ShopifyClient {
         }
     }
 
+    async graphql(query, variables = {}) {
+        if (!this.initialized) {
+            await this.initialize();
+        }
+
+        // Queries are safe to retry after a timeout or server error; mutations aren't
+        const response = await this.request(
+            { method: 'post', url: this.graphqlURL, data: { query, variables } },
+            { idempotent: !/^\s*mutation\b/.test(query) }
+        );
+
+        if (response.data.errors && response.data.errors.length > 0) {
+            const message = response.data.errors.map(e => e.message).join('; ');
+            throw new Error(`GraphQL Error: ${message}`);
+        }
+        return response.data.data;
+    }
+
     async getProductById(productId) {
         if (!this.initialized) {
             await this.initialize();
         }
 
         try {
-            const response = await axios.get(`${this.baseURL}/products/${productId}.json`, { 
-                headers: this.headers 
-            });
+            const response = await this.request({ method: 'get', url: `${this.baseURL}/products/${productId}.json` });
             return response.data.product;
         } catch (error) {
             logger.error(`Error fetching product ${productId} from Shopify:`, error.message);
@@ -284,6 +227,18 @@ class ShopifyClient {
         }
     }
 
+    // Product with its metafields, in the shape the bulk export returns
+    async getProductWithMetafields(productId) {
+        const product = await this.getProductById(productId);
+        const response = await this.request({
+            method: 'get',
+            url: `${this.baseURL}/products/${productId}/metafields.json?limit=250`
+        });
+        product.metafields = response.data.metafields
+            .map(({ id, namespace, key, value, type }) => ({ id, namespace, key, value, type }));
+        return product;
+    }
+
     async createProduct(productData) {
         if (!this.initialized) {
             await this.initialize();
@@ -297,9 +252,11 @@ class ShopifyClient {
                 logger.debug('Creating product without category ID');
             }
 
-            const response = await axios.post(`${this.baseURL}/products.json`, {
-                product: productData
-            }, { headers: this.headers });
+            const response = await this.request({
+                method: 'post',
+                url: `${this.baseURL}/products.json`,
+                data: { product: productData }
+            });
 
             const product = response.data.product;
             logger.info(`Created product: ${product.title} (ID: ${product.id})${productData.product_category_id ? ` with category: ${productData.product_category_id}` : ''}`);
@@ -320,9 +277,11 @@ class ShopifyClient {
         }
 
         try {
-            const response = await axios.put(`${this.baseURL}/products/${productId}.json`, {
-                product: updateData
-            }, { headers: this.headers });
+            const response = await this.request({
+                method: 'put',
+                url: `${this.baseURL}/products/${productId}.json`,
+                data: { product: updateData }
+            });
 
             const product = response.data.product;
             logger.info(`Updated product: ${product.title} (ID: ${product.id})`);
@@ -333,14 +292,111 @@ class ShopifyClient {
         }
     }
 
+    // Product holding a variant with this SKU, or null
+    async findProductBySku(sku) {
+        const data = await this.graphql(`
+            query FindBySku($query: String!) {
+                productVariants(first: 1, query: $query) {
+                    edges { node { product { legacyResourceId } } }
+                }
+            }`, { query: `sku:"${sku.replace(/"/g, '\\"')}"` });
+
+        const edge = data.productVariants.edges[0];
+        return edge ? await this.getProductById(edge.node.product.legacyResourceId) : null;
+    }
+
+    async deleteProduct(productId) {
+        if (!this.initialized) {
+            await this.initialize();
+        }
+
+        try {
+            await this.request({ method: 'delete', url: `${this.baseURL}/products/${productId}.json` });
+            logger.info(`Deleted product ${productId}`);
+        } catch (error) {
+            logger.error(`Error deleting product ${productId} in Shopify:`, error.message);
+            throw error;
+        }
+    }
+
+    async deleteVariant(productId, variantId) {
+        if (!this.initialized) {
+            await this.initialize();
+        }
+
+        try {
+            await this.request({ method: 'delete', url: `${this.baseURL}/products/${productId}/variants/${variantId}.json` });
+        } catch (error) {
+            logger.error(`Error deleting variant ${variantId} of product ${productId} in Shopify:`, error.message);
+            throw error;
+        }
+    }
+
+    async updateVariant(variantId, updateData) {
+        if (!this.initialized) {
+            await this.initialize();
+        }
+
+        try {
+            const response = await this.request({
+                method: 'put',
+                url: `${this.baseURL}/variants/${variantId}.json`,
+                data: { variant: { id: variantId, ...updateData } }
+            });
+            return response.data.variant;
+        } catch (error) {
+            logger.error(`Error updating variant ${variantId} in Shopify:`, error.message);
+            throw error;
+        }
+    }
+
+    // URL redirect, e.g. from a product's previous handle. A redirect already
+    // registered for the path is pointed at the new target.
+    async createRedirect(fromPath, toPath) {
+        if (!this.initialized) {
+            await this.initialize();
+        }
+
+        try {
+            const response = await this.request({
+                method: 'post',
+                url: `${this.baseURL}/redirects.json`,
+                data: { redirect: { path: fromPath, target: toPath } }
+            });
+            return response.data.redirect;
+        } catch (error) {
+            if (!error.response || error.response.status !== 422) {
+                logger.error(`Error creating redirect ${fromPath} -> ${toPath}:`, error.message);
+                throw error;
+            }
+
+            const existing = await this.request({
+                method: 'get',
+                url: `${this.baseURL}/redirects.json`,
+                params: { path: fromPath }
+            });
+            const redirect = existing.data.redirects[0];
+            if (!redirect) {
+                throw error;
+            }
+            const response = await this.request({
+                method: 'put',
+                url: `${this.baseURL}/redirects/${redirect.id}.json`,
+                data: { redirect: { id: redirect.id, target: toPath } }
+            });
+            return response.data.redirect;
+        }
+    }
+
     async searchProducts(query) {
         if (!this.initialized) {
             await this.initialize();
         }
 
         try {
-            const response = await axios.get(`${this.baseURL}/products.json`, {
-                headers: this.headers,
+            const response = await this.request({
+                method: 'get',
+                url: `${this.baseURL}/products.json`,
                 params: {
                     title: query,
                     limit: 250
@@ -356,6 +412,12 @@ class ShopifyClient {
         }
     }
 
+    // All Shopify API calls go through the scheduler so rate limits, Retry-After
+    // and transient failures are handled in one place
+    request(config, options = {}) {
+        return this.scheduler.request({ headers: this.headers, ...config }, options);
+    }
+
     // Helper method to extract next page URL from Link header
     extractNextPageUrl(linkHeader) {
         if (!linkHeader) return null;
@@ -381,24 +443,67 @@ class ShopifyClient {
             await this.initialize();
         }
 
+        // Batches only group work for progress logging; request pacing and
+        // concurrency are handled by the scheduler
         const {
-            batchSize = 10,
-            delayBetweenBatches = 1000,
+            batchSize = 50,
             dryRun = false,
+            runId: requestedRunId = RunHistory.createRunId(),
+            feedId = null, // Identifies the feed file, so only a run of the same feed is resumed
             parallelBatch = true,
-            enableUpdates = true // New option to enable/disable updates
+            enableUpdates = true, // New option to enable/disable updates
+            applyOverrides = this.feedOverrides.enabled,
+            overrides: appliedOverrides = null, // Report of overrides the caller already applied to the whole feed
+            applyFeedRules = this.feedFilter.enabled,
+            groupVariants = process.env.SHOPIFY_GROUP_VARIANTS !== 'false',
+            syncInventory = process.env.SHOPIFY_SYNC_INVENTORY !== 'false',
+            manageLifecycle = process.env.SHOPIFY_PRODUCT_LIFECYCLE !== 'false',
+            validateImages = process.env.IMAGE_VALIDATION !== 'false',
+            syncCollections = this.collectionSync.enabled,
+            syncPublications = this.publicationSync.enabled && process.env.SHOPIFY_SYNC_PUBLICATIONS !== 'false',
+            syncMarketPrices = this.marketPricing.enabled && process.env.SHOPIFY_SYNC_MARKET_PRICES !== 'false'
         } = options;
 
+        // A run that was interrupted is resumed under its own run ID
+        const resumed = dryRun ? null : this.runJournal.load(feedId);
+        const runId = resumed ? resumed.runId : requestedRunId;
+
         logger.info(`=== STARTING SHOPIFY PRODUCT PROCESSING ===`);
         logger.info(`Total CSV items: ${csvData.length}`);
         logger.info(`Batch size: ${batchSize}`);
         logger.info(`Parallel batch processing: ${parallelBatch}`);
         logger.info(`Enable updates: ${enableUpdates}`);
-        logger.info(`Delay between batches: ${delayBetweenBatches}ms`);
+        logger.info(`Group length/size variants: ${groupVariants}`);
+        logger.info(`Sync inventory: ${syncInventory}`);
+        logger.info(`Manage discontinued products: ${manageLifecycle}`);
+        logger.info(`Validate image links: ${validateImages}`);
+        logger.info(`Sync category collections: ${syncCollections}`);
+        logger.info(`Apply publication rules: ${syncPublications}`);
+        logger.info(`Sync market price lists: ${syncMarketPrices}`);
+        logger.info(`Apply SKU overrides: ${applyOverrides || Boolean(appliedOverrides)}`);
+        logger.info(`Apply feed include/exclude rules: ${applyFeedRules}`);
         logger.info(`Dry run: ${dryRun}`);
+        logger.info(`Run ID: ${runId}${resumed ? ` (resuming the run interrupted after ${resumed.completed.size} of ${resumed.planned.length} actions)` : ''}`);
         logger.info('='.repeat(50));
 
+        // Local corrections go over the supplier values before rules or mapping see them
+        let overrides = appliedOverrides;
+        if (applyOverrides) {
+            ({ rows: csvData, report: overrides } = await this.feedOverrides.apply(csvData));
+        }
+        if (overrides) {
+            logger.info(`Overrides: ${overrides.applied} values on ${overrides.skus.length} SKUs (${overrides.expired.length} expired, ${overrides.stale.length} not in the feed)`);
+        }
+
+        // Rows the feed rules exclude are dropped before anything is grouped or matched
+        let feedRules = null;
+        if (applyFeedRules) {
+            ({ rows: csvData, report: feedRules } = this.feedFilter.apply(csvData));
+            logger.info(`Feed rules: ${feedRules.kept} rows kept, ${feedRules.excluded} excluded (${Object.entries(feedRules.byRule).map(([rule, count]) => `${rule}=${count}`).join(', ') || 'none'})`);
+        }
+
         const results = {
+            runId,
             total: csvData.length,
             created: 0,
             updated: 0,
@@ -406,22 +511,75 @@ class ShopifyClient {
             errors: 0,
             createdProducts: [],
             updatedProducts: [],
-            errorDetails: []
+            errorDetails: [],
+            blocked: [],
+            unowned: [],
+            locked: [],
+            resumed: resumed ? { completed: resumed.completed.size, planned: resumed.planned.length } : null,
+            overrides,
+            feedRules,
+            images: null,
+            categories: null,
+            inventory: null,
+            marketPrices: null,
+            lifecycle: null,
+            collections: null,
+            publications: null,
+            specs: null,
+            pricing: null,
+            requestStats: null
         };
+        this.pricingEngine.resetAudit();
+        this.categoryMapper.resetCoverage();
+        this.specParser.resetAudit();
+        this.fieldLocks.startRun();
+        // Before-state of everything the run writes, for --rollback
+        if (!dryRun) {
+            this.runHistory.start(runId, { store: this.store.name });
+        }
 
-        // Use provided Shopify products or fetch them
-        let existingProducts = shopifyProducts || [];
-        if (!shopifyProducts) {
+        // Use provided Shopify products, the ones an interrupted run started
+        // from, or fetch them
+        let existingProducts = shopifyProducts || (resumed && this.runJournal.loadProducts());
+        if (!existingProducts) {
             logger.info('Fetching existing products from Shopify...');
             existingProducts = await this.getAllProducts();
         }
+        if (resumed) {
+            existingProducts = await this.addResumedProducts(existingProducts, resumed, results);
+        }
         logger.info(`Found ${existingProducts.length} existing products in Shopify`);
+        if (!dryRun) {
+            this.runJournal.begin(runId, feedId, existingProducts, resumed);
+        }
+        this.handleRegistry = new HandleRegistry(existingProducts);
+        // Products created while the publication step runs get their channels from it
+        this.publishAfterCreate = syncPublications;
+        // Without the lifecycle step, updates apply the feed's Status
+        this.lifecycleManagesStatus = manageLifecycle;
+        // Category tags only when this run maintains the collections they feed
+        this.tagCollections = syncCollections;
+
+        // Only products carrying the ownership marker are matched, updated and
+        // stocked; SKUs held by other products are remembered to stop duplicates
+        const managedProducts = this.ownership.ownedOnly
+            ? existingProducts.filter(product => this.ownership.isOwned(product))
+            : existingProducts;
+        const unownedProductsBySku = new Map();
+        if (managedProducts.length < existingProducts.length) {
+            existingProducts.filter(product => !this.ownership.isOwned(product)).forEach(product => {
+                (product.variants || []).forEach(variant => {
+                    if (variant.sku) unownedProductsBySku.set(variant.sku.toLowerCase(), product);
+                });
+            });
+            logger.info(`Matching ${managedProducts.length} sync-owned products, ignoring ${existingProducts.length - managedProducts.length} others`);
+        }
 
         // Create lookup maps for faster product matching
         const existingProductsBySku = new Map();
         const existingProductsByTitle = new Map();
         
-        existingProducts.forEach(product => {
+        managedProducts.forEach(product => {
             // Index by title
             existingProductsByTitle.set(product.title.toLowerCase(), product);
             
@@ -437,22 +595,84 @@ class ShopifyClient {
         
         logger.info(`Built lookup index: ${existingProductsBySku.size} SKUs, ${existingProductsByTitle.size} titles`);
 
-        // Categorize CSV items into create/update batches
-        const { productsToCreate, productsToUpdate } = this.categorizeProducts(
-            csvData, 
+        // Group length/size rows into multi-variant families
+        const feedProducts = groupVariants
+            ? this.variantGrouper.group(csvData)
+            : csvData.map(csvItem => ({ csvItem, family: null }));
+
+        // Drop placeholder/broken image links before they are compared or sent;
+        // createImages() only keeps links the validator accepted
+        if (validateImages) {
+            try {
+                results.images = await this.imageValidator.validateFeed(csvData);
+                results.images.withoutImages = feedProducts
+                    .filter(({ csvItem, family }) => this.createImages(csvItem, family).length === 0)
+                    .map(({ csvItem }) => csvItem.Item);
+                if (results.images.withoutImages.length > 0) {
+                    logger.warn(`${results.images.withoutImages.length} products have no usable image: ${results.images.withoutImages.slice(0, 10).join(', ')}${results.images.withoutImages.length > 10 ? ', ...' : ''}`);
+                }
+            } catch (error) {
+                logger.error('Image validation failed:', error.message);
+                results.images = { error: error.message };
+            }
+        } else {
+            this.imageValidator.reset();
+        }
+
+        // Categorize feed products into create/update batches
+        const categorized = this.categorizeProducts(
+            feedProducts, 
             existingProductsBySku, 
             existingProductsByTitle,
             enableUpdates
         );
+        const { productsToUpdate, matchedProducts } = categorized;
+        results.locked = categorized.locked;
+        if (results.locked.length > 0) {
+            logger.info(`Locked fields left untouched on ${results.locked.length} products`);
+        }
+
+        // Products deleted in Shopify (see ProductBlocklist) are not recreated,
+        // and a SKU on a product the sync doesn't own is left to the
+        // merchandiser until the product is adopted
+        const blockedSkus = this.blocklist.getBlockedSkus();
+        const productsToCreate = categorized.productsToCreate.filter(({ csvItem, family }) => {
+            const rows = this.getFeedRows(csvItem, family);
+            const skus = rows.map(row => row.Item).filter(sku => sku && blockedSkus.has(sku.toLowerCase()));
+            if (skus.length > 0) {
+                results.blocked.push(...skus);
+                return false;
+            }
+
+            const row = rows.find(r => r.Item && unownedProductsBySku.has(r.Item.toLowerCase()));
+            if (row) {
+                const product = unownedProductsBySku.get(row.Item.toLowerCase());
+                results.unowned.push({ sku: row.Item, productId: product.id, title: product.title });
+                return false;
+            }
+            return true;
+        });
+        if (results.blocked.length > 0) {
+            logger.info(`Not recreating ${results.blocked.length} SKUs deleted in Shopify: ${results.blocked.slice(0, 10).join(', ')}${results.blocked.length > 10 ? ', ...' : ''}`);
+        }
+        if (results.unowned.length > 0) {
+            logger.warn(`${results.unowned.length} feed products share SKUs with products the sync doesn't own; run --adopt to review them`);
+        }
 
         logger.info(`Products to create: ${productsToCreate.length}`);
         logger.info(`Products to update: ${productsToUpdate.length}`);
         logger.info(`Total to process: ${productsToCreate.length + productsToUpdate.length}`);
         
-        const allProductsToProcess = [
+        let allProductsToProcess = [
             ...productsToCreate.map(item => ({ ...item, action: 'create' })),
             ...productsToUpdate.map(item => ({ ...item, action: 'update' }))
         ];
+        if (resumed) {
+            allProductsToProcess = allProductsToProcess.filter(item => !resumed.completed.has(this.runJournal.getKey(item.action, item.csvItem)));
+            logger.info(`Resumed run: ${allProductsToProcess.length} actions left to do`);
+        } else if (!dryRun) {
+            this.runJournal.plan(allProductsToProcess);
+        }
 
         // Process in batches
         for (let i = 0; i < allProductsToProcess.length; i += batchSize) {
@@ -469,14 +689,116 @@ class ShopifyClient {
                 // Process batch items sequentially
                 await this.processBatchSequentialWithUpdates(batch, results, dryRun);
             }
+            // Hashes of what this batch wrote, so an interrupted run doesn't
+            // take its own writes for edits made in Shopify
+            if (!dryRun) {
+                this.fieldLocks.save();
+            }
+        }
+
+        const feedRows = feedProducts.flatMap(({ csvItem, family }) => this.getFeedRows(csvItem, family));
+
+        // SKUs of every product in the shop, for resolving products/delete webhooks
+        if (!dryRun) {
+            try {
+                this.blocklist.indexProducts([...existingProducts, ...results.createdProducts]);
+            } catch (error) {
+                logger.error('Failed to index product SKUs:', error.message);
+            }
+            try {
+                this.fieldLocks.save();
+            } catch (error) {
+                logger.error('Failed to save field hashes:', error.message);
+            }
+        }
+
+        // Stock is set per location after products exist, and reported apart
+        // from product field updates
+        if (syncInventory) {
+            try {
+                results.inventory = await this.inventorySync.syncInventory(
+                    feedRows,
+                    // Updated products carry the variants added to them this run
+                    [...managedProducts, ...results.createdProducts, ...results.updatedProducts],
+                    { dryRun }
+                );
+            } catch (error) {
+                logger.error('Inventory sync failed:', error.message);
+                results.inventory = { error: error.message };
+            }
+        }
 
-            // Delay between batches (except for the last batch)
-            if (i + batchSize < allProductsToProcess.length) {
-                logger.info(`Waiting ${delayBetweenBatches}ms before next batch...`);
-                await this.delay(delayBetweenBatches);
+        // Fixed prices in each market's price list, converted from the store price
+        if (syncMarketPrices) {
+            try {
+                results.marketPrices = await this.marketPricing.syncMarketPrices(
+                    feedRows,
+                    [...managedProducts, ...results.createdProducts, ...results.updatedProducts],
+                    { dryRun }
+                );
+            } catch (error) {
+                logger.error('Market price sync failed:', error.message);
+                results.marketPrices = { error: error.message };
             }
         }
 
+        // Draft/archive owned products that left the feed, reactivate returning ones
+        if (manageLifecycle) {
+            const activeProductIds = new Set(matchedProducts
+                .filter(({ csvItem, family }) => this.getFeedRows(csvItem, family).some(row => row.Status === 'Active'))
+                .map(({ existingProduct }) => existingProduct.id));
+            try {
+                results.lifecycle = await this.lifecycle.applyLifecycle(existingProducts, activeProductIds, { dryRun });
+            } catch (error) {
+                logger.error('Product lifecycle step failed:', error.message);
+                results.lifecycle = { error: error.message };
+            }
+        }
+
+        // Sales channels from the publication rules; new products may be held for review
+        if (syncPublications) {
+            try {
+                results.publications = await this.publicationSync.syncPublications(
+                    this.getPublicationTargets(feedProducts, matchedProducts, results.createdProducts),
+                    { dryRun }
+                );
+            } catch (error) {
+                logger.error('Publication sync failed:', error.message);
+                if (results.createdProducts.length > 0) {
+                    logger.warn(`${results.createdProducts.length} products created in this run stay unpublished until the next run applies the publication rules`);
+                }
+                results.publications = { error: error.message };
+            }
+        }
+
+        // Mirror the feed's category tree into smart collections
+        if (syncCollections) {
+            try {
+                results.collections = await this.collectionSync.syncCollections(feedRows, { dryRun });
+            } catch (error) {
+                logger.error('Collection sync failed:', error.message);
+                results.collections = { error: error.message };
+            }
+        }
+
+        results.pricing = this.pricingEngine.getAuditSummary();
+        results.categories = this.categoryMapper.getCoverageReport();
+        results.specs = this.specParser.getAuditSummary();
+
+        // Spot-price basis for repricing between full syncs
+        if (!dryRun) {
+            try {
+                this.metalRepricer.recordBasis(feedRows, [...managedProducts, ...results.createdProducts, ...results.updatedProducts]);
+            } catch (error) {
+                logger.error('Failed to record price basis:', error.message);
+            }
+        }
+        results.requestStats = this.scheduler.getStats();
+        this.runHistory.finish({ created: results.created, updated: results.updated, errors: results.errors });
+        if (!dryRun) {
+            this.runJournal.clear();
+        }
+
         // Log final results
         logger.info('='.repeat(50));
         logger.info(`=== PRODUCT PROCESSING COMPLETE ===`);
@@ -485,6 +807,52 @@ class ShopifyClient {
         logger.info(`Successfully updated: ${results.updated}`);
         logger.info(`Skipped (no changes): ${results.skipped}`);
         logger.info(`Errors: ${results.errors}`);
+        if (results.blocked.length > 0) {
+            logger.info(`Not recreated (deleted in Shopify): ${results.blocked.length} SKUs`);
+        }
+        if (results.unowned.length > 0) {
+            logger.info(`Skipped (SKU on a product the sync doesn't own): ${results.unowned.length}`);
+        }
+        if (results.locked.length > 0) {
+            const lockedCounts = {};
+            results.locked.forEach(entry => Object.keys(entry.fields).forEach(field => {
+                lockedCounts[field] = (lockedCounts[field] || 0) + 1;
+            }));
+            logger.info(`Locked fields skipped: ${Object.entries(lockedCounts).map(([field, count]) => `${field}=${count}`).join(', ')}`);
+        }
+        if (results.overrides && (results.overrides.stale.length > 0 || results.overrides.expired.length > 0)) {
+            logger.info(`Overrides to clean up: ${results.overrides.stale.length} for SKUs not in the feed, ${results.overrides.expired.length} expired`);
+        }
+        if (results.images && !results.images.error) {
+            logger.info(`Image links rejected: ${results.images.rejected} (${results.images.withoutImages.length} products without images)`);
+        }
+        if (results.inventory && !results.inventory.error) {
+            logger.info(`Inventory adjusted: ${results.inventory.adjusted} (${results.inventory.errors} errors)`);
+        }
+        if (results.marketPrices && !results.marketPrices.error) {
+            logger.info(`Market prices changed: ${results.marketPrices.changed} (${results.marketPrices.errors} errors)`);
+        }
+        logger.info(`Pricing rules applied: ${Object.entries(results.pricing.byRule).map(([rule, count]) => `${rule}=${count}`).join(', ') || 'none'}`);
+        const unknownSpecKeys = Object.keys(results.specs.unknownKeys);
+        const unmappedSpecValues = Object.keys(results.specs.unmappedValues);
+        if (unknownSpecKeys.length > 0 || unmappedSpecValues.length > 0 || results.specs.invalidValueCount > 0) {
+            logger.warn(`ListOfSpecs: ${unknownSpecKeys.length} keys not in the spec dictionary (${unknownSpecKeys.slice(0, 10).join(', ')}), ${unmappedSpecValues.length} unmapped values (${unmappedSpecValues.slice(0, 10).join(', ')}), ${results.specs.invalidValueCount} unparseable values`);
+        }
+        const fallbackPaths = Object.keys(results.categories.fallbackPaths);
+        logger.info(`Categories: ${Object.entries(results.categories.byRule).map(([rule, count]) => `${rule}=${count}`).join(', ')}`);
+        if (fallbackPaths.length > 0) {
+            logger.warn(`${fallbackPaths.length} feed category paths fell back to the default category: ${fallbackPaths.slice(0, 10).join('; ')}${fallbackPaths.length > 10 ? '; ...' : ''}`);
+        }
+        if (results.lifecycle && !results.lifecycle.error) {
+            logger.info(`Lifecycle: ${results.lifecycle.drafted.length} drafted, ${results.lifecycle.archived.length} archived, ${results.lifecycle.reactivated.length} reactivated`);
+        }
+        if (results.publications && !results.publications.error) {
+            logger.info(`Publications: ${results.publications.published} published, ${results.publications.unpublished} unpublished, ${results.publications.held.length} held for review`);
+        }
+        if (results.collections && !results.collections.error) {
+            logger.info(`Collections: ${results.collections.created.length} created, ${results.collections.removed.length} removed`);
+        }
+        logger.info(`Shopify requests: ${results.requestStats.requests} (${results.requestStats.retries} retries, ${results.requestStats.throttled} throttled)`);
         
         if (results.errors > 0) {
             logger.info('\nError details:');
@@ -500,35 +868,99 @@ class ShopifyClient {
         return results;
     }
 
-    // Categorize CSV products into create/update batches
-    categorizeProducts(csvData, existingProductsBySku, existingProductsByTitle, enableUpdates) {
+    // Products an interrupted run created count as existing: the ones it
+    // recorded, and any whose create was cut off before it was recorded.
+    // Products it updated are fetched again, so the diff and the steps after
+    // the batches see the images and variants the update already wrote.
+    async addResumedProducts(existingProducts, resumed, results) {
+        const products = [...existingProducts];
+        const knownIds = new Set(products.map(product => String(product.id)));
+        const add = product => {
+            if (product && !knownIds.has(String(product.id))) {
+                knownIds.add(String(product.id));
+                products.push(product);
+            }
+        };
+
+        resumed.completed.forEach(entry => {
+            if (entry.product) {
+                add(entry.product);
+                this.runHistory.recordCreated(entry.product);
+            }
+        });
+
+        for (const key of resumed.started.keys()) {
+            if (!key.startsWith('create:')) continue;
+            const sku = key.slice('create:'.length);
+            const product = await this.findProductBySku(sku);
+            if (product) {
+                logger.info(`Create of ${sku} was interrupted but the product exists (ID: ${product.id})`);
+                add(product);
+                this.runHistory.recordCreated(product);
+            }
+        }
+
+        const updates = [...resumed.completed, ...resumed.started]
+            .filter(([key, entry]) => key.startsWith('update:') && entry.productId);
+        for (const [key, entry] of updates) {
+            try {
+                const product = await this.getProductWithMetafields(entry.productId);
+                const index = products.findIndex(existing => String(existing.id) === String(product.id));
+                if (index === -1) products.push(product);
+                else products[index] = product;
+                // Completed updates are skipped this run but still count as updated
+                if (resumed.completed.has(key)) {
+                    results.updatedProducts.push(product);
+                }
+            } catch (error) {
+                logger.warn(`Could not fetch product ${entry.productId} updated by the interrupted run, using the earlier copy:`, error.message);
+            }
+        }
+        if (updates.length > 0) {
+            logger.info(`Fetched ${updates.length} products the interrupted run updated`);
+        }
+
+        return products;
+    }
+
+    // Categorize feed products into create/update batches
+    categorizeProducts(feedProducts, existingProductsBySku, existingProductsByTitle, enableUpdates) {
         const productsToCreate = [];
         const productsToUpdate = [];
+        const matchedProducts = [];
+        const locked = [];
         
-        csvData.forEach(csvItem => {
-            const sku = csvItem.Item?.toLowerCase();
-            const title = (csvItem.Description || csvItem.Item || '').toLowerCase();
+        feedProducts.forEach(({ csvItem, family }) => {
+            const title = (family ? family.title : (csvItem.Description || csvItem.Item || '')).toLowerCase();
             
             // Try to find existing product by SKU first, then by title
-            let existingProduct = null;
-            if (sku && existingProductsBySku.has(sku)) {
-                existingProduct = existingProductsBySku.get(sku);
-            } else if (title && existingProductsByTitle.has(title)) {
+            let existingProduct = this.findProductBySkus(this.getFeedRows(csvItem, family), existingProductsBySku);
+            if (!existingProduct && title && existingProductsByTitle.has(title)) {
                 existingProduct = existingProductsByTitle.get(title);
             }
             
             if (existingProduct) {
+                matchedProducts.push({ csvItem, family, existingProduct });
                 if (enableUpdates) {
-                    // Check if product needs updates
-                    const needsUpdate = this.doesProductNeedUpdate(csvItem, existingProduct);
-                    if (needsUpdate.hasChanges) {
+                    // Check if product needs updates, leaving out locked fields
+                    const needsUpdate = this.doesProductNeedUpdate(csvItem, existingProduct, family);
+                    const { changes, locked: lockedFields } = this.fieldLocks.applyLocks(existingProduct, needsUpdate.changes);
+                    if (Object.keys(lockedFields).length > 0) {
+                        locked.push({ productId: existingProduct.id, title: existingProduct.title, sku: csvItem.Item, fields: lockedFields });
+                        logger.debug(`Locked fields on ${csvItem.Item}: ${Object.entries(lockedFields).map(([field, source]) => `${field} (${source})`).join(', ')}`);
+                    }
+                    if (changes.length > 0) {
                         productsToUpdate.push({
                             csvItem,
+                            family,
                             existingProduct,
-                            changes: needsUpdate.changes
+                            changes,
+                            lockedFields: Object.keys(lockedFields)
                         });
-                        logger.debug(`Product needs update: ${csvItem.Item} - Changes: ${needsUpdate.changes.join(', ')}`);
+                        logger.debug(`Product needs update: ${csvItem.Item} - Changes: ${changes.join(', ')}`);
                     } else {
+                        // Nothing to write: the current values are what the sync would write
+                        this.fieldLocks.record(existingProduct.id, existingProduct, Object.keys(lockedFields));
                         logger.debug(`Product up to date: ${csvItem.Item}`);
                     }
                 } else {
@@ -536,23 +968,97 @@ class ShopifyClient {
                 }
             } else {
                 // Product doesn't exist, add to create batch
-                productsToCreate.push({ csvItem });
+                productsToCreate.push({ csvItem, family });
                 logger.debug(`New product to create: ${csvItem.Item}`);
             }
         });
         
-        return { productsToCreate, productsToUpdate };
+        return { productsToCreate, productsToUpdate, matchedProducts, locked };
+    }
+
+    // Feed rows behind one Shopify product: every family member, or the single row
+    getFeedRows(csvItem, family) {
+        return family ? family.rows : [csvItem];
+    }
+
+    // Products with their publication rule attributes: every matched product
+    // plus the ones created this run (found by variant SKU)
+    getPublicationTargets(feedProducts, matchedProducts, createdProducts) {
+        const feedProductsBySku = new Map();
+        feedProducts.forEach(feedProduct => {
+            this.getFeedRows(feedProduct.csvItem, feedProduct.family).forEach(row => {
+                if (row.Item) feedProductsBySku.set(row.Item.toLowerCase(), feedProduct);
+            });
+        });
+
+        const toTarget = (product, { csvItem, family }, isNew) => {
+            const rows = this.getFeedRows(csvItem, family);
+            return {
+                product,
+                isNew,
+                attributes: this.publicationSync.getAttributes(rows, this.pricingEngine.calculate(rows[0]).price)
+            };
+        };
+
+        const targets = matchedProducts.map(({ csvItem, family, existingProduct }) =>
+            toTarget(existingProduct, { csvItem, family }, false));
+
+        createdProducts
+            .filter(product => product.id)
+            .forEach(product => {
+                const sku = (product.variants || []).map(v => v.sku).find(Boolean);
+                const feedProduct = sku && feedProductsBySku.get(sku.toLowerCase());
+                if (feedProduct) targets.push(toTarget(product, feedProduct, true));
+            });
+
+        return targets;
+    }
+
+    // Pick the existing product holding the most of these rows' SKUs. Families
+    // previously created as separate products match several; the rest are left alone.
+    findProductBySkus(rows, existingProductsBySku) {
+        const matches = new Map();
+
+        rows.forEach(row => {
+            const product = row.Item && existingProductsBySku.get(row.Item.toLowerCase());
+            if (product) {
+                matches.set(product, (matches.get(product) || 0) + 1);
+            }
+        });
+
+        if (matches.size === 0) {
+            return null;
+        }
+        if (matches.size > 1) {
+            logger.warn(`SKUs of ${rows[0].Item} are spread over ${matches.size} Shopify products: ${[...matches.keys()].map(p => p.id).join(', ')}`);
+        }
+
+        return [...matches.entries()].sort((a, b) => b[1] - a[1])[0][0];
     }
 
     // Check if a product needs updates by comparing CSV data with existing Shopify product
-    doesProductNeedUpdate(csvItem, existingProduct) {
+    doesProductNeedUpdate(csvItem, existingProduct, family = null) {
         const changes = [];
-        const csvProductData = this.mapCSVToShopifyProduct(csvItem);
+        const csvProductData = this.mapCSVToShopifyProduct(csvItem, family, existingProduct);
         
         // Compare title
         if (csvProductData.title !== existingProduct.title) {
             changes.push('title');
         }
+
+        // Compare handle; the old URL is redirected in processUpdateItem
+        if (this.updateHandles && existingProduct.handle && csvProductData.handle !== existingProduct.handle) {
+            changes.push('handle');
+        }
+
+        // Compare SEO fields. Only bulk-exported products carry them; REST
+        // product listings don't return the global metafields.
+        if (existingProduct.metafields_global_title_tag !== undefined &&
+            csvProductData.metafields_global_title_tag !== undefined &&
+            (csvProductData.metafields_global_title_tag !== existingProduct.metafields_global_title_tag ||
+             csvProductData.metafields_global_description_tag !== existingProduct.metafields_global_description_tag)) {
+            changes.push('seo');
+        }
         
         // Compare description/body_html
         if (csvProductData.body_html !== existingProduct.body_html) {
@@ -569,70 +1075,112 @@ class ShopifyClient {
             changes.push('tags');
         }
         
-        // Compare status
-        if (csvProductData.status !== existingProduct.status) {
+        // Compare status, unless the lifecycle step (productLifecycle.js) manages it
+        if (!this.lifecycleManagesStatus && csvProductData.status !== existingProduct.status) {
             changes.push('status');
         }
-        
+
         // Compare category
         if (csvProductData.product_category_id && 
             csvProductData.product_category_id !== existingProduct.product_category_id) {
             changes.push('category');
         }
-        
-        // Compare variant data (price, inventory, etc.)
-        if (existingProduct.variants && existingProduct.variants.length > 0) {
-            const existingVariant = existingProduct.variants[0]; // Compare with first variant
-            const csvVariant = csvProductData.variants[0];
-            
-            if (parseFloat(csvVariant.price) !== parseFloat(existingVariant.price)) {
-                changes.push('price');
-            }
-            
-            if (csvVariant.compare_at_price && 
-                parseFloat(csvVariant.compare_at_price) !== parseFloat(existingVariant.compare_at_price || 0)) {
-                changes.push('compare_price');
-            }
-            
-            if (parseInt(csvVariant.inventory_quantity) !== parseInt(existingVariant.inventory_quantity || 0)) {
-                changes.push('inventory');
-            }
-            
-            if (csvVariant.sku !== existingVariant.sku) {
-                changes.push('sku');
-            }
-            
-            if (csvVariant.barcode !== existingVariant.barcode) {
-                changes.push('barcode');
-            }
-            
-            if (csvVariant.weight !== existingVariant.weight) {
-                changes.push('weight');
-            }
+
+        // Compare metafields
+        if (this.metafieldSync.diffMetafields(csvProductData.metafields, existingProduct.metafields).length > 0) {
+            changes.push('metafields');
+        }
+
+        // Compare option names (a single product turning into a length/size family)
+        if (csvProductData.options && !this.optionsMatch(csvProductData.options, existingProduct.options)) {
+            changes.push('options');
         }
         
-        // Compare images
-        const existingImageUrls = existingProduct.images?.map(img => img.src) || [];
-        const csvImageUrls = csvProductData.images?.map(img => img.src) || [];
+        // Compare every variant (price, barcode, etc.), matched by SKU; stock is
+        // synced separately through inventory levels
+        this.pairVariants(csvProductData.variants, existingProduct.variants || []).forEach(({ csvVariant, existingVariant }) => {
+            if (!existingVariant) {
+                changes.push('variants');
+                return;
+            }
+            changes.push(...this.diffVariant(csvVariant, existingVariant));
+        });
         
-        if (JSON.stringify(existingImageUrls.sort()) !== JSON.stringify(csvImageUrls.sort())) {
+        // Compare images by source file, not by (CDN-rewritten) src
+        if (this.imageSync.diffImages(csvProductData.images, existingProduct).hasChanges) {
             changes.push('images');
         }
         
         return {
             hasChanges: changes.length > 0,
-            changes
+            changes: [...new Set(changes)]
         };
     }
 
+    // Match feed variants to existing ones by SKU. A single-variant product matched
+    // by title keeps pairing with its only variant so the SKU gets corrected.
+    pairVariants(csvVariants, existingVariants) {
+        const existingBySku = new Map();
+        existingVariants.forEach(variant => {
+            if (variant.sku) {
+                existingBySku.set(variant.sku.toLowerCase(), variant);
+            }
+        });
+
+        return csvVariants.map(csvVariant => {
+            let existingVariant = existingBySku.get((csvVariant.sku || '').toLowerCase()) || null;
+            if (!existingVariant && csvVariants.length === 1 && existingVariants.length === 1) {
+                existingVariant = existingVariants[0];
+            }
+            return { csvVariant, existingVariant };
+        });
+    }
+
+    // Variant fields that differ between the feed and Shopify
+    diffVariant(csvVariant, existingVariant) {
+        const changes = [];
+
+        if (parseFloat(csvVariant.price) !== parseFloat(existingVariant.price)) {
+            changes.push('price');
+        }
+        
+        // A null compare-at from the pricing rules clears an existing one
+        if (parseFloat(csvVariant.compare_at_price || 0) !== parseFloat(existingVariant.compare_at_price || 0)) {
+            changes.push('compare_price');
+        }
+        
+        if (csvVariant.sku !== existingVariant.sku) {
+            changes.push('sku');
+        }
+        
+        if (csvVariant.barcode !== existingVariant.barcode) {
+            changes.push('barcode');
+        }
+        
+        if (csvVariant.weight !== existingVariant.weight) {
+            changes.push('weight');
+        }
+
+        if (csvVariant.option1 && csvVariant.option1 !== existingVariant.option1) {
+            changes.push('option');
+        }
+
+        return changes;
+    }
+
+    optionsMatch(csvOptions, existingOptions = []) {
+        const names = options => options.map(option => option.name).join('|');
+        return names(csvOptions) === names(existingOptions);
+    }
+
     // Process batch items in parallel with create/update support
     async processBatchParallelWithUpdates(batch, results, dryRun) {
         const promises = batch.map(async (item) => {
             try {
                 if (item.action === 'create') {
-                    return await this.processCreateItem(item.csvItem, dryRun);
+                    return await this.processCreateItem(item.csvItem, dryRun, item.family);
                 } else if (item.action === 'update') {
-                    return await this.processUpdateItem(item.csvItem, item.existingProduct, item.changes, dryRun);
+                    return await this.processUpdateItem(item.csvItem, item.existingProduct, item.changes, dryRun, item.family, item.lockedFields);
                 }
             } catch (error) {
                 logger.error(`✗ Failed to process ${item.csvItem.Item || item.csvItem.Description}:`, error.message);
@@ -694,9 +1242,9 @@ class ShopifyClient {
             try {
                 let result;
                 if (item.action === 'create') {
-                    result = await this.processCreateItem(item.csvItem, dryRun);
+                    result = await this.processCreateItem(item.csvItem, dryRun, item.family);
                 } else if (item.action === 'update') {
-                    result = await this.processUpdateItem(item.csvItem, item.existingProduct, item.changes, dryRun);
+                    result = await this.processUpdateItem(item.csvItem, item.existingProduct, item.changes, dryRun, item.family, item.lockedFields);
                 }
 
                 if (result.success) {
@@ -708,10 +1256,6 @@ class ShopifyClient {
                         results.updatedProducts.push(result.product);
                     }
                 }
-
-                // Small delay between individual products
-                await this.delay(100);
-
             } catch (error) {
                 results.errors++;
                 const errorDetail = {
@@ -725,34 +1269,86 @@ class ShopifyClient {
     }
 
     // Process a single create item
-    async processCreateItem(csvItem, dryRun) {
-        const productData = this.mapCSVToShopifyProduct(csvItem);
+    async processCreateItem(csvItem, dryRun, family = null) {
+        const productData = this.mapCSVToShopifyProduct(csvItem, family);
 
         if (dryRun) {
             logger.debug(`[DRY RUN] Would create product: ${productData.title}`);
             return { success: true, type: 'dry-run-create', product: productData };
         } else {
+            const journalKey = this.runJournal.getKey('create', csvItem);
+            this.runJournal.markStarted(journalKey);
             const createdProduct = await this.createProduct(productData);
+            // Run history is on disk before the journal skips this action on resume
+            this.runHistory.recordCreated(createdProduct);
+            this.runJournal.markCompleted(journalKey, { productId: createdProduct.id, product: createdProduct });
+            if (productData.images.length > 0) {
+                try {
+                    await this.imageSync.recordCreatedImages(createdProduct, productData.images);
+                } catch (error) {
+                    // Next run falls back to matching images by file name
+                    logger.warn(`Could not record image sources for ${createdProduct.id}: ${error.message}`);
+                }
+            }
+            this.fieldLocks.record(createdProduct.id, productData);
             logger.debug(`✓ Created: ${createdProduct.title} (ID: ${createdProduct.id})`);
             return { success: true, type: 'created', product: createdProduct };
         }
     }
 
-    // Process a single update item
-    async processUpdateItem(csvItem, existingProduct, changes, dryRun) {
-        const csvProductData = this.mapCSVToShopifyProduct(csvItem);
+    // Process a single update item; lockedFields keep the values set in Shopify
+    async processUpdateItem(csvItem, existingProduct, changes, dryRun, family = null, lockedFields = []) {
+        const csvProductData = this.mapCSVToShopifyProduct(csvItem, family, existingProduct);
         const updateData = this.buildUpdateData(csvProductData, existingProduct, changes);
+        const metafields = changes.includes('metafields')
+            ? this.metafieldSync.diffMetafields(csvProductData.metafields, existingProduct.metafields)
+            : [];
 
         if (dryRun) {
+            const images = changes.includes('images') ? this.imageSync.diffImages(csvProductData.images, existingProduct).summary : undefined;
             logger.debug(`[DRY RUN] Would update product: ${existingProduct.title} - Changes: ${changes.join(', ')}`);
-            return { success: true, type: 'dry-run-update', product: updateData };
+            return { success: true, type: 'dry-run-update', product: { ...updateData, metafields, images } };
         } else {
-            const updatedProduct = await this.updateProduct(existingProduct.id, updateData);
+            const journalKey = this.runJournal.getKey('update', csvItem);
+            this.runJournal.markStarted(journalKey, { productId: existingProduct.id });
+            // The before-state is on disk before anything is written
+            this.runHistory.recordUpdate(existingProduct, updateData, metafields, changes);
+
+            // Metafields are upserted through GraphQL, so a metafield-only change skips the product PUT
+            let updatedProduct = existingProduct;
+            if (Object.keys(updateData).length > 1) {
+                updatedProduct = await this.updateProduct(existingProduct.id, updateData);
+            }
+            if (changes.includes('handle')) {
+                await this.redirectOldHandle(existingProduct, updatedProduct.handle);
+            }
+            if (metafields.length > 0) {
+                await this.metafieldSync.setMetafields(existingProduct.id, metafields);
+            }
+            if (changes.includes('images')) {
+                await this.imageSync.applyImageChanges(existingProduct, csvProductData.images);
+            }
+            this.fieldLocks.record(existingProduct.id, csvProductData, lockedFields);
+            this.runJournal.markCompleted(journalKey, { productId: existingProduct.id });
             logger.debug(`✓ Updated: ${updatedProduct.title} (ID: ${updatedProduct.id}) - Changes: ${changes.join(', ')}`);
             return { success: true, type: 'updated', product: updatedProduct };
         }
     }
 
+    // Keep the product's old URL working after a handle change. A failed
+    // redirect doesn't fail the update; it is logged for manual follow-up.
+    async redirectOldHandle(existingProduct, newHandle) {
+        const fromPath = `/products/${existingProduct.handle}`;
+        const toPath = `/products/${newHandle}`;
+        try {
+            await this.createRedirect(fromPath, toPath);
+            this.handleRegistry.release(existingProduct.handle, existingProduct.id);
+            logger.info(`Handle changed for ${existingProduct.id}, redirected ${fromPath} -> ${toPath}`);
+        } catch (error) {
+            logger.error(`✗ Handle of ${existingProduct.id} changed but redirect ${fromPath} -> ${toPath} failed:`, error.message);
+        }
+    }
+
     // Build update data containing only the fields that need to be updated
     buildUpdateData(csvProductData, existingProduct, changes) {
         const updateData = { id: existingProduct.id };
@@ -762,6 +1358,13 @@ class ShopifyClient {
                 case 'title':
                     updateData.title = csvProductData.title;
                     break;
+                case 'handle':
+                    updateData.handle = csvProductData.handle;
+                    break;
+                case 'seo':
+                    updateData.metafields_global_title_tag = csvProductData.metafields_global_title_tag;
+                    updateData.metafields_global_description_tag = csvProductData.metafields_global_description_tag;
+                    break;
                 case 'description':
                     updateData.body_html = csvProductData.body_html;
                     break;
@@ -778,45 +1381,73 @@ class ShopifyClient {
                     updateData.product_category_id = csvProductData.product_category_id;
                     break;
                 case 'images':
-                    updateData.images = csvProductData.images;
+                    // Applied image by image in processUpdateItem
+                    break;
+                case 'options':
+                    updateData.options = csvProductData.options;
                     break;
                 case 'price':
                 case 'compare_price':
-                case 'inventory':
                 case 'sku':
                 case 'barcode':
                 case 'weight':
-                    // For variant changes, we need to update the variants array
-                    if (!updateData.variants) {
-                        updateData.variants = [];
-                    }
-                    // Update the first variant (assuming single variant products)
-                    if (existingProduct.variants && existingProduct.variants.length > 0) {
-                        const variantUpdate = { id: existingProduct.variants[0].id };
-                        const csvVariant = csvProductData.variants[0];
-                        
-                        if (change === 'price') variantUpdate.price = csvVariant.price;
-                        if (change === 'compare_price') variantUpdate.compare_at_price = csvVariant.compare_at_price;
-                        if (change === 'inventory') variantUpdate.inventory_quantity = csvVariant.inventory_quantity;
-                        if (change === 'sku') variantUpdate.sku = csvVariant.sku;
-                        if (change === 'barcode') variantUpdate.barcode = csvVariant.barcode;
-                        if (change === 'weight') variantUpdate.weight = csvVariant.weight;
-                        
-                        updateData.variants = [variantUpdate];
-                    }
+                case 'option':
+                case 'variants':
+                    // Variant changes are collected for every variant below
                     break;
             }
         });
+
+        const variantChanges = ['price', 'compare_price', 'sku', 'barcode', 'weight', 'option', 'variants', 'options'];
+        if (changes.some(change => variantChanges.includes(change))) {
+            updateData.variants = this.buildVariantUpdates(csvProductData, existingProduct, changes);
+        }
         
         return updateData;
     }
 
+    // Variant payload for a product update. The REST API deletes variants missing
+    // from the array, so every existing variant is listed, unchanged ones by id only.
+    // Only fields in changes are written, so locked ones (see FieldLocks) stay put.
+    buildVariantUpdates(csvProductData, existingProduct, changes) {
+        const optionsChanged = changes.includes('options');
+        const existingVariants = existingProduct.variants || [];
+        const pairs = this.pairVariants(csvProductData.variants, existingVariants);
+        const pairedIds = new Set();
+
+        const variants = pairs.map(({ csvVariant, existingVariant }) => {
+            if (!existingVariant) {
+                return csvVariant;
+            }
+
+            pairedIds.add(existingVariant.id);
+            const fieldChanges = this.diffVariant(csvVariant, existingVariant).filter(change => changes.includes(change));
+            const variantUpdate = { id: existingVariant.id };
+
+            if (fieldChanges.includes('price')) variantUpdate.price = csvVariant.price;
+            if (fieldChanges.includes('compare_price')) variantUpdate.compare_at_price = csvVariant.compare_at_price;
+            if (fieldChanges.includes('sku')) variantUpdate.sku = csvVariant.sku;
+            if (fieldChanges.includes('barcode')) variantUpdate.barcode = csvVariant.barcode;
+            if (fieldChanges.includes('weight')) variantUpdate.weight = csvVariant.weight;
+            if (fieldChanges.includes('option') || (optionsChanged && csvVariant.option1)) variantUpdate.option1 = csvVariant.option1;
+
+            return variantUpdate;
+        });
+
+        existingVariants
+            .filter(variant => !pairedIds.has(variant.id))
+            .forEach(variant => variants.push({ id: variant.id }));
+
+        return variants;
+    }
+
     // Legacy method for backward compatibility - now calls the new processProductsFromCSV
     async createProductsFromCSV(csvData, shopifyProducts, options = {}) {
         // Add legacy options mapping
         const newOptions = {
             ...options,
-            enableUpdates: false // Legacy mode: only create, don't update
+            enableUpdates: false, // Legacy mode: only create, don't update
+            manageLifecycle: false
         };
         
         logger.warn('Using legacy createProductsFromCSV method. Consider switching to processProductsFromCSV for create+update functionality.');
@@ -902,10 +1533,6 @@ class ShopifyClient {
                     results.createdProducts.push(createdProduct);
                     logger.debug(`✓ Created: ${createdProduct.title} (ID: ${createdProduct.id})`);
                 }
-
-                // Small delay between individual products
-                await this.delay(100);
-
             } catch (error) {
                 results.errors++;
                 const errorDetail = {
@@ -918,90 +1545,67 @@ class ShopifyClient {
         }
     }
 
-    // Map CSV data to Shopify product format
-    mapCSVToShopifyProduct(csvItem) {
+    // Map CSV data to Shopify product format. A family maps to one product with a
+    // Length/Size option and a variant per feed row.
+    mapCSVToShopifyProduct(csvItem, family = null, existingProduct = null) {
+        const productType = this.extractProductType(csvItem);
+        const copy = this.renderProductCopy(csvItem, family, productType);
+        const title = copy.title || 'Untitled Product';
         const product = {
-            title: csvItem.Description || csvItem.Item || 'Untitled Product',
-            handle: this.generateHandle(csvItem.Description || csvItem.Item),
-            body_html: this.generateProductDescription(csvItem),
+            title,
+            handle: this.getHandle(csvItem, family, title, existingProduct),
+            body_html: copy.description || '<p>Quality jewelry piece</p>',
             vendor: 'QGold',
-            product_type: this.extractProductType(csvItem),
+            product_type: productType,
             status: csvItem.Status === 'Active' ? 'active' : 'draft',
-            published: csvItem.Status === 'Active',
-            tags: this.generateTags(csvItem),
-            variants: [this.createVariant(csvItem)],
-            images: this.createImages(csvItem),
-            metafields: this.createMetafields(csvItem),
+            // With publication rules, channels are set after creation
+            published: this.publishAfterCreate ? false : csvItem.Status === 'Active',
+            // Lock tags set by merchandisers survive tag updates
+            tags: this.fieldLocks.keepLockTags(this.generateTags(csvItem), existingProduct && existingProduct.tags),
+            variants: family
+                ? family.rows.map(row => this.createVariant(row, family.optionName))
+                : [this.createVariant(csvItem)],
+            images: this.createImages(csvItem, family),
+            metafields: this.createMetafields(csvItem, family),
             category: this.getCategoryId(csvItem)
         };
 
-        // Add SEO fields
+        if (family) {
+            product.options = [{ name: family.optionName }];
+        }
+
+        // SEO title/description; the REST API takes them as the global
+        // title_tag/description_tag metafields
         if (csvItem.Description) {
-            product.seo_title = csvItem.Description.substring(0, 70);
-            product.seo_description = this.generateSEODescription(csvItem);
+            product.metafields_global_title_tag = title.substring(0, 70);
+            product.metafields_global_description_tag = copy.seoDescription.substring(0, 160);
         }
 
         return product;
     }
 
-    // Map CSV categories to Shopify category IDs
+    // Map CSV categories to a Shopify taxonomy GID (see config/category-map.json)
     getCategoryId(csvItem) {
-        if (!csvItem.Categories) {
-            logger.debug('No categories found in CSV item, using default jewelry category');
-            return this.defaultJewelryCategory;
-        }
-
-        // Split categories by semicolon and process each one
-        const categories = csvItem.Categories.split(';');
-        logger.debug(`Processing categories for ${csvItem.Item}: ${categories.join(' | ')}`);
-        
-        for (const categoryPath of categories) {
-            const categoryId = this.findBestCategoryMatch(categoryPath);
-            if (categoryId) {
-                logger.info(`Category mapped for ${csvItem.Item}: ${categoryPath.trim()} -> ${categoryId}`);
-                return categoryId;
-            }
+        const { categoryId, rule, path } = this.categoryMapper.map(csvItem);
+        if (rule === 'default') {
+            logger.debug(`No category match found for ${csvItem.Item}, using default category`);
+        } else {
+            logger.debug(`Category mapped for ${csvItem.Item} (${rule}): ${path} -> ${categoryId}`);
         }
-
-        logger.warn(`No category match found for ${csvItem.Item}, using default jewelry category`);
-        return this.defaultJewelryCategory;
+        return categoryId;
     }
 
-    // Find the best category match from a category path
-    findBestCategoryMatch(categoryPath) {
-        if (!categoryPath) return null;
-        
-        // Clean up the category path and convert to lowercase
-        const cleanPath = categoryPath.trim().toLowerCase().replace(/\\/g, '');
-        
-        // Split by common separators and get individual category terms
-        const categoryTerms = cleanPath.split(/[\\\/\>\|]/).map(term => term.trim()).filter(term => term);
-        
-        logger.debug(`Analyzing category terms: ${categoryTerms.join(', ')}`);
-        
-        // Check for specific matches in order of preference (most specific first)
-        for (const term of categoryTerms.reverse()) { // Start from most specific (end of path)
-            // Direct match
-            if (this.categoryMap.has(term)) {
-                return this.categoryMap.get(term);
-            }
-            
-            // Check if term contains any of our category keywords
-            for (const [keyword, categoryId] of this.categoryMap.entries()) {
-                if (term.includes(keyword) || keyword.includes(term)) {
-                    return categoryId;
-                }
-            }
-        }
-        
-        // If no match found, try looking for partial matches in the full path
-        for (const [keyword, categoryId] of this.categoryMap.entries()) {
-            if (cleanPath.includes(keyword)) {
-                return categoryId;
-            }
+    // Existing products keep their handle unless SHOPIFY_UPDATE_HANDLES=true
+    // and the title changed
+    getHandle(csvItem, family, title, existingProduct) {
+        if (existingProduct && existingProduct.handle && (!this.updateHandles || title === existingProduct.title)) {
+            return existingProduct.handle;
         }
-        
-        return null;
+
+        const baseHandle = this.generateHandle(family ? family.title : (csvItem.Description || csvItem.Item));
+        return this.handleRegistry
+            ? this.handleRegistry.resolve(baseHandle, csvItem.Item, existingProduct && existingProduct.id, existingProduct && existingProduct.handle)
+            : baseHandle;
     }
 
     // Generate URL handle from title
@@ -1016,56 +1620,62 @@ class ShopifyClient {
             .substring(0, 100); // Limit length
     }
 
-    // Create variant from CSV data
-    createVariant(csvItem) {
+    // Create variant from CSV data; optionName is set for members of a family
+    createVariant(csvItem, optionName = null) {
+        const pricing = this.pricingEngine.calculate(csvItem);
         const variant = {
-            title: 'Default Title',
+            title: optionName ? this.variantGrouper.getOptionValue(csvItem, optionName) : 'Default Title',
             sku: csvItem.Item || '',
             barcode: csvItem.UPC || '',
-            price: this.parsePrice(csvItem.MSRP || csvItem.ContractPrice),
-            compare_at_price: csvItem.MSRP ? this.parsePrice(csvItem.MSRP) : null,
+            price: pricing.price,
+            compare_at_price: pricing.compareAtPrice,
             inventory_management: 'shopify',
-            inventory_quantity: parseInt(csvItem.Qty_Avail) || 0,
             weight: this.parseWeight(csvItem.Weight),
             weight_unit: 'g'
         };
 
         // Add variant options if available
-        if (csvItem.Size || csvItem.Length || csvItem.Width) {
+        if (optionName) {
+            variant.option1 = variant.title;
+        } else if (csvItem.Size || csvItem.Length || csvItem.Width) {
             variant.option1 = csvItem.Size || `${csvItem.Length || ''}x${csvItem.Width || ''}`.replace('x', '');
         }
 
         return variant;
     }
 
-    // Create images array from CSV data
-    createImages(csvItem) {
+    // Create images array from CSV data. Families collect the images of every
+    // member; entries pointing at the same file are collapsed.
+    createImages(csvItem, family = null) {
         const images = [];
+        const altText = family ? family.title : (csvItem.Description || csvItem.Item);
         
-        // Primary image
-        if (csvItem.ImageLink_1000) {
-            images.push({
-                src: csvItem.ImageLink_1000,
-                alt: csvItem.Description || csvItem.Item
-            });
-        }
-
-        // Additional images
-        for (let i = 1; i <= 9; i++) {
-            const imageLink = csvItem[`Image${i}Link`];
-            if (imageLink && imageLink.trim()) {
+        this.getFeedRows(csvItem, family).forEach(row => {
+            // Primary image
+            if (row.ImageLink_1000 && this.imageValidator.isUsable(row.ImageLink_1000)) {
                 images.push({
-                    src: imageLink,
-                    alt: `${csvItem.Description || csvItem.Item} - View ${i}`
+                    src: row.ImageLink_1000,
+                    alt: altText
                 });
             }
-        }
 
-        return images;
+            // Additional images
+            for (let i = 1; i <= 9; i++) {
+                const imageLink = row[`Image${i}Link`];
+                if (imageLink && imageLink.trim() && this.imageValidator.isUsable(imageLink)) {
+                    images.push({
+                        src: imageLink,
+                        alt: `${altText} - View ${i}`
+                    });
+                }
+            }
+        });
+
+        return this.imageSync.dedupe(images);
     }
 
     // Create metafields for additional data
-    createMetafields(csvItem) {
+    createMetafields(csvItem, family = null) {
         const metafields = [];
         
         // Store original item number
@@ -1108,50 +1718,37 @@ class ShopifyClient {
             });
         }
 
-        return metafields;
-    }
-
-    // Generate product description from CSV data
-    generateProductDescription(csvItem) {
-        let description = '';
-        
-        if (csvItem.Description) {
-            description += `<h3>${csvItem.Description}</h3>`;
-        }
+        // Typed fields parsed from ListOfSpecs (specs.purity, specs.clasp...)
+        metafields.push(...this.specParser.getMetafields(this.getFeedRows(csvItem, family)));
 
-        if (csvItem.Metal_Desc) {
-            description += `<p><strong>Material:</strong> ${csvItem.Metal_Desc}</p>`;
-        }
-
-        if (csvItem.Weight) {
-            description += `<p><strong>Weight:</strong> ${csvItem.Weight}g</p>`;
-        }
-
-        if (csvItem.Length && csvItem.Width) {
-            description += `<p><strong>Dimensions:</strong> ${csvItem.Length}" x ${csvItem.Width}"</p>`;
-        } else if (csvItem.Length) {
-            description += `<p><strong>Length:</strong> ${csvItem.Length}"</p>`;
-        }
+        // Ownership marker (sync.source, sync.feed_item)
+        metafields.push(...this.ownership.getMetafields(csvItem.Item));
 
-        if (csvItem.ListOfSpecs) {
-            description += `<div><strong>Specifications:</strong><br>`;
-            const specs = csvItem.ListOfSpecs.split('|');
-            specs.forEach(spec => {
-                if (spec.trim()) {
-                    description += `• ${spec.trim()}<br>`;
-                }
-            });
-            description += '</div>';
-        }
+        return metafields;
+    }
 
-        return description || '<p>Quality jewelry piece</p>';
+    // Title, body_html and SEO description from the product's template set
+    // (see productTemplates.js)
+    renderProductCopy(csvItem, family = null, productType = this.extractProductType(csvItem)) {
+        return this.productTemplates.render(this.buildTemplateContext(csvItem, family, productType));
     }
 
-    // Generate SEO description
-    generateSEODescription(csvItem) {
-        const desc = csvItem.Description || '';
-        const metal = csvItem.Metal_Desc || '';
-        return `${desc} ${metal}`.trim().substring(0, 160);
+    // Everything a template can reference: every CSV column of the primary
+    // row plus the derived values below
+    buildTemplateContext(csvItem, family = null, productType = this.extractProductType(csvItem)) {
+        return {
+            ...csvItem,
+            productType,
+            family: family ? {
+                title: family.title,
+                optionName: family.optionName,
+                values: family.rows.map(row => this.variantGrouper.getOptionValue(row, family.optionName))
+            } : null,
+            // Raw ListOfSpecs entries, [{ key, value }]
+            specs: this.specParser.parseList(csvItem.ListOfSpecs),
+            // Normalised spec values by dictionary field (spec.clasp, spec.purity...)
+            spec: this.specParser.getDisplayValues(csvItem)
+        };
     }
 
     // Extract product type from categories
@@ -1193,6 +1790,13 @@ class ShopifyClient {
             tags.push(csvItem.ProductLine);
         }
 
+        // Membership of the category collections
+        if (this.tagCollections) {
+            tags.push(...this.collectionSync.getCategoryTags(csvItem));
+        }
+
+        tags.push(this.ownership.tag);
+
         return tags.join(', ');
     }
 
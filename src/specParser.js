@@ -0,0 +1,240 @@
+const fs = require('fs');
+const logger = require('./logger');
+
+// Shopify metafield type per dictionary field type
+const METAFIELD_TYPES = {
+    enum: 'single_line_text_field',
+    text: 'single_line_text_field',
+    number: 'number_decimal',
+    boolean: 'boolean',
+    dimension: 'dimension'
+};
+
+// Feed spellings -> the unit codes Shopify accepts in dimension values
+const DIMENSION_UNITS = {
+    'in': 'in',
+    'inch': 'in',
+    'inches': 'in',
+    '"': 'in',
+    'mm': 'mm',
+    'cm': 'cm',
+    'm': 'm',
+    'ft': 'ft',
+    'yd': 'yd'
+};
+
+const BOOLEAN_VALUES = {
+    'yes': true,
+    'y': true,
+    'true': true,
+    'no': false,
+    'n': false,
+    'false': false
+};
+
+// Turns ListOfSpecs ("Chain Length:16 in|Clasp /Connector:Lobster|...") into
+// typed product metafields using SPEC_DICTIONARY_FILE (default
+// config/spec-dictionary.json):
+//   keys    feed key -> field (keys are compared without case and with
+//           spacing around "/" and ":" removed)
+//   ignore  feed keys that are deliberately not turned into fields
+//   fields  field -> { name, type, values, filterable }, where type is enum,
+//           text, number, boolean or dimension and values maps feed spellings
+//           (lowercase) to the canonical value
+// Keys missing from the dictionary and values that don't parse are left out
+// of the typed fields (the raw list stays in custom.specifications) and
+// counted for the run report. Enum values missing from a field's values are
+// written as they appear in the feed and counted as unmapped.
+class SpecParser {
+    constructor(options = {}) {
+        this.dictionaryFile = options.dictionaryFile || process.env.SPEC_DICTIONARY_FILE || './config/spec-dictionary.json';
+        this.dictionary = options.dictionary || this.loadDictionary();
+        this.namespace = this.dictionary.namespace || 'specs';
+        this.keyMap = new Map(Object.entries(this.dictionary.keys || {})
+            .map(([key, field]) => [this.normalizeKey(key), field]));
+        this.ignoredKeys = new Set((this.dictionary.ignore || []).map(key => this.normalizeKey(key)));
+        this.resetAudit();
+    }
+
+    loadDictionary() {
+        if (!fs.existsSync(this.dictionaryFile)) {
+            logger.warn(`Spec dictionary not found: ${this.dictionaryFile}, ListOfSpecs will not be parsed`);
+            return { keys: {}, fields: {} };
+        }
+
+        const dictionary = JSON.parse(fs.readFileSync(this.dictionaryFile, 'utf8'));
+        dictionary.fields = dictionary.fields || {};
+
+        Object.entries(dictionary.keys || {}).forEach(([key, field]) => {
+            if (!dictionary.fields[field]) {
+                throw new Error(`Spec key "${key}" in ${this.dictionaryFile} maps to undefined field "${field}"`);
+            }
+        });
+        Object.entries(dictionary.fields).forEach(([field, definition]) => {
+            if (!METAFIELD_TYPES[definition.type]) {
+                throw new Error(`Spec field "${field}" in ${this.dictionaryFile} has unknown type "${definition.type}"`);
+            }
+        });
+
+        logger.info(`Loaded spec dictionary from ${this.dictionaryFile}: ${Object.keys(dictionary.fields).length} fields`);
+        return dictionary;
+    }
+
+    // "Clasp /Connector" -> "clasp/connector"
+    normalizeKey(key) {
+        return key.toLowerCase().replace(/\s*([/:])\s*/g, '$1').replace(/\s+/g, ' ').trim();
+    }
+
+    // [{ key, value }] in feed order. Keys may contain ":" themselves
+    // ("Material: Primary - Purity:14K"), so the value follows the last one.
+    parseList(listOfSpecs) {
+        return (listOfSpecs || '')
+            .split('|')
+            .map(entry => {
+                const separator = entry.lastIndexOf(':');
+                if (separator === -1) return null;
+                return { key: entry.slice(0, separator).trim(), value: entry.slice(separator + 1).trim() };
+            })
+            .filter(spec => spec && spec.key && spec.value);
+    }
+
+    // Map of field -> metafield for one feed row
+    parse(csvItem) {
+        const metafields = new Map();
+        const audit = { unknownKeys: [], invalidValues: [], unmappedValues: [] };
+
+        this.parseList(csvItem.ListOfSpecs).forEach(({ key, value }) => {
+            const normalizedKey = this.normalizeKey(key);
+            if (this.ignoredKeys.has(normalizedKey)) return;
+
+            const field = this.keyMap.get(normalizedKey);
+            if (!field) {
+                audit.unknownKeys.push(key);
+                return;
+            }
+            if (metafields.has(field)) return;
+
+            const definition = this.dictionary.fields[field];
+            const parsed = this.parseValue(value, definition);
+            if (parsed === null) {
+                audit.invalidValues.push({ sku: csvItem.Item, key, value, type: definition.type });
+                return;
+            }
+            if (definition.type === 'enum' && !this.isMappedValue(value, definition)) {
+                audit.unmappedValues.push(`${field}: ${value}`);
+            }
+
+            metafields.set(field, {
+                namespace: this.namespace,
+                key: field,
+                type: METAFIELD_TYPES[definition.type],
+                value: parsed
+            });
+        });
+
+        if (csvItem.Item) {
+            this.audit.set(csvItem.Item, audit);
+        }
+        return metafields;
+    }
+
+    // Field -> readable value ("Lobster", "16 in") for templates
+    getDisplayValues(csvItem) {
+        const values = {};
+        this.parseList(csvItem.ListOfSpecs).forEach(({ key, value }) => {
+            const field = this.keyMap.get(this.normalizeKey(key));
+            if (!field || field in values) return;
+
+            const definition = this.dictionary.fields[field];
+            values[field] = definition.type === 'enum' ? this.parseValue(value, definition) : value;
+        });
+        return values;
+    }
+
+    // Typed metafields for a product. Families keep only fields every member
+    // agrees on; the rest (chain length...) differ per variant.
+    getMetafields(rows) {
+        const [first, ...others] = rows.map(row => this.parse(row));
+        if (!first) return [];
+
+        return [...first.values()].filter(metafield =>
+            others.every(parsed => parsed.has(metafield.key) && parsed.get(metafield.key).value === metafield.value));
+    }
+
+    // Metafield value as a string, or null when it can't be parsed
+    parseValue(value, definition) {
+        switch (definition.type) {
+            case 'dimension': {
+                const match = value.match(/^(\d+(?:\.\d+)?)\s*(inches|inch|in|"|mm|cm|m|ft|yd)\.?$/i);
+                if (!match) return null;
+                return JSON.stringify({ value: parseFloat(match[1]), unit: DIMENSION_UNITS[match[2].toLowerCase()] });
+            }
+            case 'number': {
+                const number = parseFloat(value.replace(/[^\d.-]/g, ''));
+                return isNaN(number) ? null : String(number);
+            }
+            case 'boolean': {
+                const normalized = value.toLowerCase();
+                return normalized in BOOLEAN_VALUES ? String(BOOLEAN_VALUES[normalized]) : null;
+            }
+            case 'enum': {
+                const values = definition.values || {};
+                return values[value.toLowerCase()] || value;
+            }
+            default:
+                return value;
+        }
+    }
+
+    // Whether an enum value is one of the field's feed spellings or canonical
+    // values; fields without a values map take any value
+    isMappedValue(value, definition) {
+        if (!definition.values) return true;
+        const normalized = value.toLowerCase();
+        return normalized in definition.values ||
+            Object.values(definition.values).some(canonical => canonical.toLowerCase() === normalized);
+    }
+
+    // Metafield definitions for every dictionary field, for ensureDefinitions()
+    getDefinitions() {
+        return Object.entries(this.dictionary.fields).map(([key, definition]) => ({
+            namespace: this.namespace,
+            key,
+            name: definition.name || key,
+            type: METAFIELD_TYPES[definition.type],
+            description: `${definition.name || key} parsed from ListOfSpecs`,
+            filterable: Boolean(definition.filterable)
+        }));
+    }
+
+    // Per-SKU unknown keys, unmapped and unparseable values, cleared at the start of each run
+    resetAudit() {
+        this.audit = new Map();
+    }
+
+    // Unknown keys and unmapped enum values ("field: value") with the number
+    // of SKUs using them, and unparseable values
+    getAuditSummary() {
+        const unknownKeys = {};
+        const unmappedValues = {};
+        const invalidValues = [];
+        this.audit.forEach(audit => {
+            audit.unknownKeys.forEach(key => {
+                unknownKeys[key] = (unknownKeys[key] || 0) + 1;
+            });
+            audit.unmappedValues.forEach(value => {
+                unmappedValues[value] = (unmappedValues[value] || 0) + 1;
+            });
+            invalidValues.push(...audit.invalidValues);
+        });
+
+        return {
+            unknownKeys,
+            unmappedValues,
+            invalidValues: invalidValues.slice(0, 50),
+            invalidValueCount: invalidValues.length
+        };
+    }
+}
+
+module.exports = SpecParser;
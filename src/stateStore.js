@@ -0,0 +1,30 @@
+const fs = require('fs');
+const path = require('path');
+
+// JSON file kept between runs under STATE_DIR (default ./state). Unlike the
+// downloads directory it is never cleaned up automatically.
+class StateStore {
+    constructor(name, options = {}) {
+        this.stateDir = options.stateDir || process.env.STATE_DIR || './state';
+        this.filePath = path.join(this.stateDir, `${name}.json`);
+    }
+
+    load(defaultValue = {}) {
+        if (!fs.existsSync(this.filePath)) {
+            return defaultValue;
+        }
+        return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    }
+
+    // Write to a temp file and rename so a crash never leaves half a file
+    save(data) {
+        if (!fs.existsSync(this.stateDir)) {
+            fs.mkdirSync(this.stateDir, { recursive: true });
+        }
+        const tempPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+        fs.renameSync(tempPath, this.filePath);
+    }
+}
+
+module.exports = StateStore;
@@ -0,0 +1,122 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const { hasCategoryPrefix } = require('./categoryPaths');
+
+// Shopify stores the feed is synced to, from STORES_FILE (default
+// config/stores.json):
+//   { "stores": [
+//       { "name": "retail", "storeUrl": "retail-shop.myshopify.com",
+//         "accessTokenEnv": "RETAIL_SHOPIFY_ACCESS_TOKEN" },
+//       { "name": "wholesale", "storeUrl": "wholesale-shop.myshopify.com",
+//         "accessTokenEnv": "WHOLESALE_SHOPIFY_ACCESS_TOKEN",
+//         "pricingRulesFile": "./config/wholesale-pricing-rules.json",
+//         "filters": { "productLine": ["Core Gold"], "category": ["\\Jewelry\\Chains"] },
+//         "batchSize": 100, "maxConcurrency": 4,
+//         "options": { "syncInventory": false } }
+//   ] }
+// Tokens are read from the environment variable named by accessTokenEnv (and
+// webhook secrets from webhookSecretEnv) so they stay out of the file.
+// Optional per-store settings: pricingRulesFile, marketPricingFile,
+// publicationRulesFile, feedRulesFile, overridesFile, categoryMapFile,
+// fieldLocksFile, templatesDir, inventoryLocations, filters (productLine list,
+// category path prefixes), batchSize, maxConcurrency, maxRetries and options
+// (processProductsFromCSV options).
+// Each store keeps its state under STATE_DIR/<name>.
+//
+// Without the file there is a single "default" store configured from
+// SHOPIFY_STORE_URL / SHOPIFY_ACCESS_TOKEN, keeping its state in STATE_DIR.
+class StoreRegistry {
+    constructor(options = {}) {
+        this.storesFile = options.storesFile || process.env.STORES_FILE || './config/stores.json';
+        this.stateDir = options.stateDir || process.env.STATE_DIR || './state';
+        this.stores = options.stores || this.loadStores();
+    }
+
+    loadStores() {
+        if (!fs.existsSync(this.storesFile)) {
+            return [{
+                name: 'default',
+                storeUrl: process.env.SHOPIFY_STORE_URL,
+                accessToken: process.env.SHOPIFY_ACCESS_TOKEN,
+                webhookSecret: process.env.SHOPIFY_WEBHOOK_SECRET,
+                filters: {},
+                options: {}
+            }];
+        }
+
+        const config = JSON.parse(fs.readFileSync(this.storesFile, 'utf8'));
+        const entries = config.stores || [];
+        if (entries.length === 0) {
+            throw new Error(`No stores defined in ${this.storesFile}`);
+        }
+
+        const names = new Set();
+        const stores = entries.map(entry => {
+            if (!entry.name || !/^[a-z0-9_-]+$/i.test(entry.name)) {
+                throw new Error(`Invalid store name "${entry.name || ''}" in ${this.storesFile} (letters, digits, - and _ only)`);
+            }
+            if (names.has(entry.name.toLowerCase())) {
+                throw new Error(`Duplicate store "${entry.name}" in ${this.storesFile}`);
+            }
+            names.add(entry.name.toLowerCase());
+
+            // A missing token only fails that store when it connects
+            return {
+                ...entry,
+                accessToken: entry.accessTokenEnv ? process.env[entry.accessTokenEnv] : entry.accessToken,
+                webhookSecret: entry.webhookSecretEnv ? process.env[entry.webhookSecretEnv] : undefined,
+                stateDir: path.join(this.stateDir, entry.name),
+                filters: entry.filters || {},
+                options: entry.options || {}
+            };
+        });
+
+        logger.info(`Loaded ${stores.length} stores from ${this.storesFile}: ${stores.map(store => store.name).join(', ')}`);
+        return stores;
+    }
+
+    get(name) {
+        const store = this.stores.find(s => s.name.toLowerCase() === String(name).toLowerCase());
+        if (!store) {
+            throw new Error(`Unknown store "${name}" (configured: ${this.stores.map(s => s.name).join(', ')})`);
+        }
+        return store;
+    }
+
+    // Store whose storeUrl is the given myshopify.com domain, e.g. from
+    // X-Shopify-Shop-Domain
+    findByDomain(domain) {
+        const wanted = String(domain || '').toLowerCase();
+        return this.stores.find(store => store.storeUrl && this.getShopDomain(store.storeUrl) === wanted) || null;
+    }
+
+    // "https://retail-shop.com/" -> "retail-shop.myshopify.com", as
+    // ShopifyClient.initialize() resolves it
+    getShopDomain(storeUrl) {
+        let domain = storeUrl.toLowerCase().replace(/^https?:\/\//, '').replace(/\/.*$/, '');
+        if (!domain.includes('.myshopify.com')) {
+            domain = domain.replace('.com', '.myshopify.com');
+        }
+        return domain;
+    }
+
+    // Feed rows a store carries, by its productLine and category filters
+    filterFeed(store, csvData) {
+        const { productLine, category } = store.filters;
+        if (!productLine && !category) {
+            return csvData;
+        }
+
+        const lower = value => String(value).toLowerCase();
+        const lines = productLine ? [].concat(productLine).map(lower) : null;
+
+        return csvData.filter(row => {
+            if (lines && !lines.includes(lower(row.ProductLine || ''))) return false;
+            if (category && !hasCategoryPrefix(row.Categories, category)) return false;
+            return true;
+        });
+    }
+}
+
+module.exports = StoreRegistry;
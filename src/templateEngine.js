@@ -0,0 +1,132 @@
+// Minimal logic-less template renderer for product copy:
+//   {{Description}}             value, HTML-escaped when escaping is on
+//   {{{Description}}}           value, never escaped
+//   {{spec.clasp}}              dotted paths
+//   {{#if Weight}}..{{else}}..{{/if}}, {{#unless x}}..{{/unless}}
+//   {{#each specs}}{{key}}: {{value}}{{/each}}  with {{this}} and {{@index}}
+// Empty strings, 0, null, false and empty arrays are falsy. Lookups inside
+// #each fall back to the enclosing scopes.
+const TAG_PATTERN = /\{\{\{\s*([\w.@]+)\s*\}\}\}|\{\{\s*(#if|#unless|#each|else|\/if|\/unless|\/each)?\s*([\w.@]*)\s*\}\}/g;
+
+const HTML_ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+};
+
+class TemplateEngine {
+    // Parse once; returns a function (context) -> string
+    compile(source, options = {}) {
+        const { escape = true, name = 'template' } = options;
+        const nodes = this.parse(source, name);
+        return context => this.renderNodes(nodes, [context], escape);
+    }
+
+    parse(source, name) {
+        const root = { children: [] };
+        root.target = root.children;
+        const stack = [root];
+        let lastIndex = 0;
+        let match;
+
+        TAG_PATTERN.lastIndex = 0;
+        while ((match = TAG_PATTERN.exec(source)) !== null) {
+            const current = stack[stack.length - 1];
+            if (match.index > lastIndex) {
+                current.target.push({ type: 'text', value: source.slice(lastIndex, match.index) });
+            }
+            lastIndex = TAG_PATTERN.lastIndex;
+
+            const [, rawPath, keyword, path] = match;
+            if (rawPath) {
+                current.target.push({ type: 'value', path: rawPath, raw: true });
+            } else if (!keyword) {
+                if (!path) {
+                    throw new Error(`Empty tag in ${name}`);
+                }
+                current.target.push({ type: 'value', path, raw: false });
+            } else if (keyword.startsWith('#')) {
+                if (!path) {
+                    throw new Error(`{{${keyword}}} without a value in ${name}`);
+                }
+                const block = { type: keyword.slice(1), path, children: [], inverse: null };
+                block.target = block.children;
+                current.target.push(block);
+                stack.push(block);
+            } else if (keyword === 'else') {
+                if ((current.type !== 'if' && current.type !== 'unless') || current.inverse) {
+                    throw new Error(`Unexpected {{else}} in ${name}`);
+                }
+                current.inverse = [];
+                current.target = current.inverse;
+            } else {
+                if (current.type !== keyword.slice(1)) {
+                    throw new Error(`Unexpected {{${keyword}}} in ${name}`);
+                }
+                stack.pop();
+            }
+        }
+
+        if (stack.length > 1) {
+            throw new Error(`Unclosed {{#${stack[stack.length - 1].type}}} in ${name}`);
+        }
+        if (lastIndex < source.length) {
+            root.children.push({ type: 'text', value: source.slice(lastIndex) });
+        }
+        return root.children;
+    }
+
+    renderNodes(nodes, scopes, escape) {
+        return nodes.map(node => {
+            switch (node.type) {
+                case 'text':
+                    return node.value;
+                case 'value': {
+                    const value = this.lookup(node.path, scopes);
+                    const text = value === undefined || value === null ? '' : String(value);
+                    return escape && !node.raw ? this.escapeHtml(text) : text;
+                }
+                case 'if':
+                case 'unless': {
+                    const truthy = this.isTruthy(this.lookup(node.path, scopes));
+                    const branch = truthy === (node.type === 'if') ? node.children : node.inverse;
+                    return branch ? this.renderNodes(branch, scopes, escape) : '';
+                }
+                case 'each': {
+                    const items = this.lookup(node.path, scopes);
+                    if (!Array.isArray(items)) return '';
+                    return items.map((item, index) =>
+                        this.renderNodes(node.children, [...scopes, { '@index': index, this: item, ...(typeof item === 'object' ? item : {}) }], escape)
+                    ).join('');
+                }
+                default:
+                    return '';
+            }
+        }).join('');
+    }
+
+    // Innermost scope first
+    lookup(path, scopes) {
+        const [head, ...rest] = path.split('.');
+        for (let i = scopes.length - 1; i >= 0; i--) {
+            const scope = scopes[i];
+            if (scope !== null && typeof scope === 'object' && head in scope) {
+                return rest.reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), scope[head]);
+            }
+        }
+        return undefined;
+    }
+
+    isTruthy(value) {
+        if (Array.isArray(value)) return value.length > 0;
+        return value !== undefined && value !== null && value !== false && value !== '' && value !== 0;
+    }
+
+    escapeHtml(text) {
+        return text.replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+    }
+}
+
+module.exports = TemplateEngine;
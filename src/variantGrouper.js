@@ -0,0 +1,119 @@
+const logger = require('./logger');
+
+// Groups QGold rows that are the same item in different lengths or sizes
+// (012R-16, 012R-18, 012R-20 ...) into one family so they can be created as a
+// single multi-variant product. Rows belong to the same family when they share
+// the base item number, the Image file and the description once the length or
+// size is taken out of it.
+class VariantGrouper {
+    // Returns feed products: { csvItem, family } where family is null for
+    // single rows and { title, optionName, rows } for grouped ones
+    group(csvData) {
+        const families = new Map();
+        const order = [];
+
+        csvData.forEach(csvItem => {
+            const key = this.getFamilyKey(csvItem);
+            if (!key) {
+                order.push({ csvItem, family: null });
+                return;
+            }
+
+            if (!families.has(key)) {
+                const entry = { csvItem, rows: [] };
+                families.set(key, entry);
+                order.push(entry);
+            }
+            families.get(key).rows.push(csvItem);
+        });
+
+        let grouped = 0;
+        const feedProducts = order.map(entry => {
+            if (!entry.rows) {
+                return entry;
+            }
+            if (entry.rows.length === 1) {
+                return { csvItem: entry.csvItem, family: null };
+            }
+
+            grouped++;
+            return {
+                csvItem: entry.csvItem,
+                family: this.buildFamily(entry.rows)
+            };
+        });
+
+        logger.info(`Grouped ${csvData.length} feed rows into ${feedProducts.length} products (${grouped} multi-variant families)`);
+        return feedProducts;
+    }
+
+    // Family key, or null when the row's item number has no length/size suffix
+    getFamilyKey(csvItem) {
+        const optionName = this.getOptionName(csvItem);
+        if (!optionName || !csvItem.Item) {
+            return null;
+        }
+
+        const baseItem = this.getBaseItem(csvItem, optionName);
+        if (!baseItem) {
+            return null;
+        }
+
+        return [
+            baseItem.toLowerCase(),
+            optionName,
+            (csvItem.Image || '').toLowerCase(),
+            this.stripOptionFromText(csvItem.Description || '', csvItem, optionName).toLowerCase()
+        ].join('|');
+    }
+
+    getOptionName(csvItem) {
+        if (csvItem.Size) return 'Size';
+        if (csvItem.Length) return 'Length';
+        return null;
+    }
+
+    // 012R-16 with Length 16 -> 012R
+    getBaseItem(csvItem, optionName) {
+        const value = this.escapeRegExp(csvItem[optionName]);
+        const match = csvItem.Item.match(new RegExp(`^(.+?)[-_]?${value}$`, 'i'));
+        return match ? match[1] : null;
+    }
+
+    buildFamily(rows) {
+        const primary = rows[0];
+        const optionName = this.getOptionName(primary);
+
+        const sortedRows = [...rows].sort((a, b) => {
+            const diff = parseFloat(a[optionName]) - parseFloat(b[optionName]);
+            return isNaN(diff) ? String(a[optionName]).localeCompare(String(b[optionName])) : diff;
+        });
+
+        return {
+            title: this.stripOptionFromText(primary.Description || primary.Item, primary, optionName),
+            optionName,
+            rows: sortedRows
+        };
+    }
+
+    getOptionValue(csvItem, optionName) {
+        const value = csvItem[optionName];
+        return optionName === 'Length' ? `${value} in` : value;
+    }
+
+    // Remove "16 inch" / "16in" / 16" / "Size 7" from a description
+    stripOptionFromText(text, csvItem, optionName) {
+        const value = this.escapeRegExp(csvItem[optionName]);
+        const pattern = optionName === 'Length'
+            ? new RegExp(`\\b${value}\\s*(?:-\\s*)?(?:inches|inch|in\\b|")`, 'i')
+            : new RegExp(`\\bsize\\s*${value}\\b`, 'i');
+
+        return text.replace(pattern, '').replace(/\s{2,}/g, ' ').trim();
+    }
+
+    escapeRegExp(value) {
+        return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+}
+
+module.exports = VariantGrouper;
@@ -0,0 +1,80 @@
+const crypto = require('crypto');
+const express = require('express');
+const logger = require('./logger');
+const StoreRegistry = require('./storeRegistry');
+const ProductBlocklist = require('./productBlocklist');
+
+// Receives Shopify product webhooks (mounted at /webhooks/shopify by the
+// health server) and keeps each store's ProductBlocklist current:
+//   products/delete            blocks the deleted product's SKUs
+//   products/create, /update   index the product's SKUs for later deletes
+// Requests are verified against X-Shopify-Hmac-Sha256 with the store's
+// webhookSecretEnv secret or SHOPIFY_WEBHOOK_SECRET, and matched to a store
+// by X-Shopify-Shop-Domain. Subscribe the shop's webhooks to
+// https://<host>/webhooks/shopify with the JSON format.
+function createWebhookRouter(options = {}) {
+    const registry = options.registry || new StoreRegistry();
+    const blocklists = new Map();
+    const router = express.Router();
+
+    const getBlocklist = store => {
+        if (!blocklists.has(store.name)) {
+            blocklists.set(store.name, new ProductBlocklist({ stateDir: store.stateDir }));
+        }
+        return blocklists.get(store.name);
+    };
+
+    // The HMAC is computed over the raw body, so it must not be parsed first
+    router.post('/shopify', express.raw({ type: 'application/json', limit: '5mb' }), (req, res) => {
+        const topic = req.get('X-Shopify-Topic');
+        const shopDomain = req.get('X-Shopify-Shop-Domain');
+        const store = registry.findByDomain(shopDomain);
+
+        if (!store) {
+            logger.warn(`Webhook ${topic} from unknown shop ${shopDomain}`);
+            return res.status(404).json({ error: 'Unknown shop' });
+        }
+
+        const secret = store.webhookSecret || process.env.SHOPIFY_WEBHOOK_SECRET;
+        if (!secret || !verifyHmac(req.body, req.get('X-Shopify-Hmac-Sha256'), secret)) {
+            logger.warn(`Rejected webhook ${topic} from ${shopDomain}: invalid signature`);
+            return res.status(401).json({ error: 'Invalid signature' });
+        }
+
+        try {
+            const payload = JSON.parse(req.body.toString('utf8'));
+            const blocklist = getBlocklist(store);
+
+            if (topic === 'products/delete') {
+                const skus = blocklist.recordDelete(payload.id);
+                if (skus.length > 0) {
+                    logger.info(`[${store.name}] Product ${payload.id} deleted in Shopify, blocked SKUs: ${skus.join(', ')}`);
+                } else {
+                    logger.warn(`[${store.name}] Product ${payload.id} deleted in Shopify but its SKUs are unknown`);
+                }
+            } else if (topic === 'products/create' || topic === 'products/update') {
+                blocklist.recordProduct(payload);
+            } else {
+                logger.debug(`Ignoring webhook ${topic} from ${shopDomain}`);
+            }
+
+            res.status(200).json({ received: true });
+        } catch (error) {
+            logger.error(`Failed to handle webhook ${topic} from ${shopDomain}:`, error.message);
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    return router;
+}
+
+function verifyHmac(rawBody, signature, secret) {
+    if (!signature || !Buffer.isBuffer(rawBody)) {
+        return false;
+    }
+    const expected = crypto.createHmac('sha256', secret).update(rawBody).digest();
+    const received = Buffer.from(signature, 'base64');
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+module.exports = { createWebhookRouter, verifyHmac };